@@ -1,269 +1,118 @@
-import { readFileSync } from "node:fs";
-import { join } from "node:path";
-import querystring from "node:querystring";
+import { readFileSync, writeFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
-import {
-  CloudFormation,
-  DescribeChangeSetCommand,
-  PolicyAction,
-  paginateListChangeSets,
-} from "@aws-sdk/client-cloudformation";
-import chalk from "chalk";
+import { CloudFormation, DescribeChangeSetCommand, paginateListChangeSets } from "@aws-sdk/client-cloudformation";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { getObjectDiff } from "./lib/diff.mjs";
+import { parseArrayKeys, parseSetProperties } from "./lib/arrays.mjs";
+import { describeChangeSetTree, getChangeSetResult, waitForChangeSet } from "./lib/changeset.mjs";
+import { renderComparison } from "./lib/compare.mjs";
+import { createChangeFilter } from "./lib/filter.mjs";
+import { getFailures, parseFailOnRules } from "./lib/gate.mjs";
+import { runInteractive } from "./lib/interactive.mjs";
+import { renderChangeSetResult } from "./lib/render.mjs";
+import { saveSnapshot } from "./lib/snapshot.mjs";
+import { getStatusFailure } from "./lib/status.mjs";
+import { getDeployedTemplate, parseTemplate, renderTemplateDiff } from "./lib/template.mjs";
 
-/**
- * @template T
- * @param {object} obj
- * @param {string} path
- * @param {T} value
- */
-function set(obj, path, value) {
-  const keys = path.split("/").filter((x) => x);
-  let current = obj;
-
-  for (let i = 0; i < keys.length - 1; i++) {
-    const key = keys[i];
-    // @ts-expect-error
-    if (!(key in current) || typeof current[key] !== "object") {
-      // @ts-expect-error
-      current[key] = {};
-    }
-    // @ts-expect-error
-    current = current[key];
-  }
-
-  // @ts-expect-error
-  current[keys[keys.length - 1]] = value;
-}
+export {
+  DefaultArrayKeys,
+  DefaultSetProperties,
+  getArrayKeys,
+  isSetProperty,
+  parseArrayKeys,
+  parseSetProperties,
+} from "./lib/arrays.mjs";
+export {
+  describeChangeSetTree,
+  getChangeDiff,
+  getChangeEntry,
+  getChangeSetChanges,
+  getChangeSetResult,
+  getCurrentStack,
+  getStackDiff,
+  resolveNestedChangeSetId,
+  waitForChangeSet,
+} from "./lib/changeset.mjs";
+export { compareChangeSetResults, renderComparison } from "./lib/compare.mjs";
+export { buildDiff, getDiffLines, getDiffValue, getObjectDiff, getSideBySideLines } from "./lib/diff.mjs";
+export { createChangeFilter } from "./lib/filter.mjs";
+export { FailOnExitCodes, getFailures, parseFailOnRules } from "./lib/gate.mjs";
+export { renderHtml } from "./lib/html.mjs";
+export { createTree, runInteractive } from "./lib/interactive.mjs";
+export { renderMarkdown } from "./lib/markdown.mjs";
+export { getNetworkExposureNotes } from "./lib/network.mjs";
+export { getPermissionFindings } from "./lib/permissions.mjs";
+export { createRequestQueue } from "./lib/queue.mjs";
+export {
+  getChangeLines,
+  getConsoleUrl,
+  getSummaryLines,
+  renderChangeSet,
+  renderChangeSetResult,
+} from "./lib/render.mjs";
+export { createSnapshot, saveSnapshot } from "./lib/snapshot.mjs";
+export { getStatefulChanges, StatefulResourceTypes } from "./lib/stateful.mjs";
+export { getStatusFailure, getStatusMessages, isPendingStatus, StatusExitCodes } from "./lib/status.mjs";
+export { getDeployedTemplate, getTemplateDiff, parseTemplate, renderTemplateDiff } from "./lib/template.mjs";
 
 /**
- * @param {object} obj
- * @param {string[]} keys
+ * @typedef {import('./lib/arrays.mjs').ArrayKeys} ArrayKeys
+ * @typedef {import('./lib/changeset.mjs').ChangeEntry} ChangeEntry
+ * @typedef {import('./lib/changeset.mjs').ChangeSetResult} ChangeSetResult
+ * @typedef {import('./lib/changeset.mjs').ChangeSetTree} ChangeSetTree
+ * @typedef {import('./lib/changeset.mjs').SummaryRow} SummaryRow
+ * @typedef {import('./lib/changeset.mjs').Totals} Totals
+ * @typedef {import('./lib/diff.mjs').Diff} Diff
+ * @typedef {import('./lib/permissions.mjs').PermissionFinding} PermissionFinding
+ * @typedef {import('./lib/queue.mjs').RequestQueue} RequestQueue
+ * @typedef {import('./lib/render.mjs').OutputFormat} OutputFormat
+ * @typedef {import('./lib/render.mjs').RenderOptions} RenderOptions
+ * @typedef {import('./lib/stateful.mjs').StatefulChange} StatefulChange
+ * @typedef {import('./lib/status.mjs').ChangeSetStatus} ChangeSetStatus
+ * @typedef {import('./lib/template.mjs').Template} Template
  */
-function sortObject(obj, keys) {
-  const result = {};
-  for (const key of keys) {
-    if (key in obj) {
-      // @ts-expect-error
-      result[key] = obj[key];
-    }
-  }
-  return Object.assign(result, obj);
-}
-
-/** @type {Record<PolicyAction, chalk.Chalk>} */
-const PolicyActionMap = {
-  Delete: chalk.redBright,
-  Retain: chalk.yellowBright,
-  ReplaceAndDelete: chalk.redBright,
-  ReplaceAndRetain: chalk.yellowBright,
-  ReplaceAndSnapshot: chalk.greenBright,
-  Snapshot: chalk.greenBright,
-};
 
 /**
- * @param {import('@aws-sdk/client-cloudformation').ResourceChange} resourceChange
- * @param {object} [options]
- * @param {boolean} [options.showUnchangedProperties]
- * @param {boolean} [options.showColor]
+ * Get the id of a change set by its name
+ * @param {CloudFormation} cfn
+ * @param {string} stackName
+ * @param {string} changeSetName
+ * @returns {Promise<string>}
  */
-function logChange(resourceChange, options = {}) {
-  /** @type {*} */
-  const beforeStackTags = {};
-  /** @type {*} */
-  const afterStackTags = {};
-  /** @type {Record<string, string>} */
-  const replacementNotes = {};
-
-  if (resourceChange.PolicyAction) {
-    if (options.showColor) {
-      replacementNotes[resourceChange.LogicalResourceId ?? ""] = PolicyActionMap[resourceChange.PolicyAction](
-        `Policy: ${resourceChange.PolicyAction}`,
-      );
-    } else {
-      replacementNotes[resourceChange.LogicalResourceId ?? ""] = `Policy: ${resourceChange.PolicyAction}`;
-    }
-  }
-
-  for (const detail of resourceChange.Details ?? []) {
-    if (!detail.Target) continue;
-    if (!detail.Target.Path) continue;
-    if (detail.Target.Attribute === "Tags" && detail.Target.Path?.startsWith("/Tags")) {
-      if (detail.Target.BeforeValue) {
-        try {
-          set(beforeStackTags, detail.Target.Path, JSON.parse(detail.Target.BeforeValue));
-        } catch (err) {
-          if (err instanceof SyntaxError) {
-            set(beforeStackTags, detail.Target.Path, detail.Target.BeforeValue);
-          }
-        }
-      }
-      if (detail.Target.AfterValue) {
-        try {
-          set(afterStackTags, detail.Target.Path, JSON.parse(detail.Target.AfterValue));
-        } catch (err) {
-          if (err instanceof SyntaxError) {
-            set(afterStackTags, detail.Target.Path, detail.Target.AfterValue);
-          }
-        }
-      }
-    }
-    if (detail.Target.RequiresRecreation === "Always") {
-      replacementNotes[join(resourceChange.LogicalResourceId ?? "", detail.Target.Path)] =
-        `WARNING: Causes Replacement!`;
-    } else if (detail.Target.RequiresRecreation === "Conditionally") {
-      replacementNotes[join(resourceChange.LogicalResourceId ?? "", detail.Target.Path)] = `May cause replacement!`;
-    }
-  }
-
-  /** @type {*} */
-  const before = {};
-  /** @type {*} */
-  const after = {};
-  if (resourceChange.BeforeContext) {
-    resourceChange.BeforeContext ? JSON.parse(resourceChange.BeforeContext) : undefined;
-    before[resourceChange.LogicalResourceId ?? ""] = sortObject(
-      {
-        Type: resourceChange.ResourceType,
-        ...JSON.parse(resourceChange.BeforeContext),
-      },
-      ["Type", "DeletionPolicy", "UpdateReplacePolicy", "Properties", "StackTags"],
-    );
-  }
-  if (resourceChange.AfterContext) {
-    resourceChange.AfterContext ? JSON.parse(resourceChange.AfterContext) : undefined;
-    after[resourceChange.LogicalResourceId ?? ""] = sortObject(
-      {
-        Type: resourceChange.ResourceType,
-        ...JSON.parse(resourceChange.AfterContext),
-      },
-      ["Type", "DeletionPolicy", "UpdateReplacePolicy", "Properties", "StackTags"],
-    );
-  }
-  if (Object.keys(beforeStackTags).length > 0) {
-    before[resourceChange.LogicalResourceId ?? ""].StackTags = Object.values(beforeStackTags.Tags);
-  }
-  if (Object.keys(afterStackTags).length > 0) {
-    after[resourceChange.LogicalResourceId ?? ""].StackTags = Object.values(afterStackTags.Tags);
-  }
-  const diffStrings = getObjectDiff(
-    before,
-    after,
-    {
-      showUnchangedProperties: options.showUnchangedProperties ?? false,
-      showColor: options.showColor ?? true,
-      colorOverride: resourceChange.Action === "Import" ? chalk.cyan : undefined,
-      iconOverride: resourceChange.Action === "Import" ? "↓" : undefined,
-    },
-    replacementNotes,
+async function getChangeSetId(cfn, stackName, changeSetName) {
+  const changeset = await cfn.send(
+    new DescribeChangeSetCommand({
+      StackName: stackName,
+      ChangeSetName: changeSetName,
+    }),
   );
-  if (diffStrings.length > 0) {
-    console.log(diffStrings.join("\n"));
-    console.log("");
-  }
+  if (!changeset.ChangeSetId) throw new Error("Change set not found");
+  return changeset.ChangeSetId;
 }
 
 /**
- * @param {CloudFormation} cfn
- * @param {string} changeSetId
+ * Throw if any of the options is set, for modes that can't apply them
+ * @param {string} mode e.g. `--template`
+ * @param {Record<string, unknown>} options key: option name, value: its parsed argument
  */
-async function getChangeSetChanges(cfn, changeSetId) {
-  if (changeSetId.startsWith("file://")) {
-    const contents = readFileSync(changeSetId.replace("file://", ""), "utf-8");
-    const response = /** @type {import("@aws-sdk/client-cloudformation").DescribeChangeSetOutput} */ (
-      JSON.parse(contents)
-    );
-    if (!response.ChangeSetId || !response.StackId) {
-      throw new Error("Change set file must contain ChangeSetId and StackId");
-    }
-    return {
-      changeSetId: response.ChangeSetId,
-      stackId: response.StackId,
-      changes: response.Changes ?? [],
-    };
+function rejectOptions(mode, options) {
+  const names = Object.keys(options).filter((name) => options[name] !== undefined && options[name] !== false);
+  if (names.length > 0) {
+    throw new Error(`${mode} does not support ${names.join(", ")}`);
   }
-  let response;
-  let attempts = 0;
-  while (!response) {
-    try {
-      response = await cfn.send(
-        new DescribeChangeSetCommand({
-          ChangeSetName: changeSetId,
-          IncludePropertyValues: true,
-        }),
-      );
-    } catch (err) {
-      if (!(err instanceof Error)) throw err;
-      if (err.name !== "Throttling") throw err;
-      if (attempts++ > 5) throw err;
-      // exponential backoff sleep with jitter
-      await new Promise((resolve) => setTimeout(resolve, 2 ** attempts * 1000 + Math.random() * 1000));
-    }
-  }
-  if (!response.ChangeSetId || !response.StackId) {
-    throw new Error("Change set file must contain ChangeSetId and StackId");
-  }
-  return {
-    changeSetId: response.ChangeSetId,
-    stackId: response.StackId,
-    changes: response.Changes ?? [],
-  };
 }
 
 /**
- * @param {CloudFormation} cfn
- * @param {string} changeSetId
- * @param {object} [options]
- * @param {boolean} [options.showUnchangedProperties]
- * @param {boolean} [options.showColor]
- * @param {string} [path]
+ * Print the rendered output, or write it to a file
+ * @param {string} text
+ * @param {string} [out] the path of the file, stdout if undefined
  */
-async function printChangeSet(cfn, changeSetId, options = undefined, path = "") {
-  const response = await getChangeSetChanges(cfn, changeSetId);
-
-  const totals = {
-    Add: 0,
-    Modify: 0,
-    Remove: 0,
-    Import: 0,
-    Dynamic: 0,
-  };
-
-  for (const change of response.changes) {
-    const resourceChange = change.ResourceChange;
-    if (!resourceChange) continue;
-    if (resourceChange.Action === "Modify" && resourceChange.Replacement !== "False") {
-      totals.Add += 1;
-      totals.Remove += 1;
-    } else {
-      if (resourceChange.Action) totals[resourceChange.Action] += 1;
-    }
-
-    const logicalId = `${path}${resourceChange.LogicalResourceId}`;
-    logChange(
-      {
-        ...change.ResourceChange,
-        // handle rendering nested stack resources as MyNestedStack/MyResource
-        LogicalResourceId: logicalId,
-      },
-      options,
-    );
-    if (resourceChange.ChangeSetId) {
-      const { totals: nestedTotals } = await printChangeSet(cfn, resourceChange.ChangeSetId, options, `${logicalId}/`);
-      totals.Add += nestedTotals.Add;
-      totals.Modify += nestedTotals.Modify;
-      totals.Remove += nestedTotals.Remove;
-      totals.Import += nestedTotals.Import;
-      totals.Dynamic += nestedTotals.Dynamic;
-    }
+function writeOutput(text, out) {
+  if (out) {
+    writeFileSync(out, `${text}\n`);
+  } else {
+    console.log(text);
   }
-  return {
-    changeSetId: response.changeSetId,
-    stackId: response.stackId,
-    totals,
-  };
 }
 
 export async function main() {
@@ -281,10 +130,101 @@ export async function main() {
       type: "boolean",
       default: true,
     })
+    .option("output", {
+      description: "The output format",
+      choices: /** @type {const} */ (["text", "json", "markdown", "html"]),
+      default: /** @type {OutputFormat} */ ("text"),
+    })
+    .option("out", {
+      description: "Write the output to a file instead of stdout, e.g. --output html --out change-set.html",
+      type: "string",
+    })
+    .option("compare", {
+      description: "Show what differs between two change sets of the same stack, by name, ARN, or file:// path",
+      type: "string",
+      array: true,
+      nargs: 2,
+    })
+    .option("template", {
+      description:
+        "Diff a local JSON or YAML template against the deployed template of --stack-name, without a change set",
+      type: "string",
+    })
+    .option("save-snapshot", {
+      description: "Save the change set and all nested change sets to a single file, readable with file://",
+      type: "string",
+    })
+    .option("fail-on", {
+      description:
+        "Exit with a non-zero code after printing if the change set contains a replacement, conditional-replacement, remove or policy:<PolicyAction>",
+      type: "string",
+      array: true,
+      coerce: parseFailOnRules,
+    })
+    .option("include-type", {
+      description: "Only show resources with a type matching one of the globs, e.g. AWS::IAM::*",
+      type: "string",
+      array: true,
+    })
+    .option("exclude-type", {
+      description: "Hide resources with a type matching one of the globs, e.g. AWS::Lambda::Version",
+      type: "string",
+      array: true,
+    })
+    .option("resource", {
+      description: "Only show resources with a logical id matching one of the globs, e.g. Api/*",
+      type: "string",
+      array: true,
+    })
+    .option("action", {
+      description: "Only show resources with one of the change actions, e.g. Remove,Modify",
+      type: "string",
+      array: true,
+    })
+    .option("layout", {
+      description: "The layout of the text diffs, side-by-side fits the columns to the terminal width",
+      choices: /** @type {const} */ (["unified", "side-by-side"]),
+      default: /** @type {import('./lib/diff.mjs').Layout} */ ("unified"),
+    })
+    .option("interactive", {
+      description: "Browse the nested stacks and resources in the terminal instead of printing them",
+      type: "boolean",
+    })
+    .option("summary", {
+      description: "Count the changes per nested stack and resource type",
+      type: "boolean",
+    })
     .option("show-unchanged-properties", {
       description: "Show unchanged properties in the diff",
       type: "boolean",
     })
+    .option("array-key", {
+      description:
+        "Match the items of arrays at a property path by their identifying properties, e.g. Listeners=Port+Protocol",
+      type: "string",
+      array: true,
+      coerce: parseArrayKeys,
+    })
+    .option("set-property", {
+      description: "Compare the arrays at a property path as sets, ignoring their order, e.g. Principal.AWS",
+      type: "string",
+      array: true,
+      coerce: parseSetProperties,
+    })
+    .option("wait", {
+      description: "Wait for the change set to finish creating before printing it",
+      type: "boolean",
+    })
+    .option("wait-timeout", {
+      description: "How many seconds to wait for the change set to finish creating",
+      type: "number",
+      default: 600,
+    })
+    .option("concurrency", {
+      description: "How many nested change sets are fetched at once",
+      type: "number",
+      default: 5,
+    })
     .option("region", {
       description: "The AWS region where the change-set is located",
       type: "string",
@@ -302,6 +242,94 @@ export async function main() {
   const cfn = new CloudFormation(cfnprops);
 
   try {
+    if (args.template) {
+      if (!args.stackName) {
+        throw new Error("--template requires --stack-name");
+      }
+      if (args.output !== "text") {
+        throw new Error("--template only supports text output");
+      }
+      // the templates have no change actions, replacements or nested change sets
+      rejectOptions("--template", {
+        "--include-type": args.includeType,
+        "--exclude-type": args.excludeType,
+        "--resource": args.resource,
+        "--action": args.action,
+        "--fail-on": args.failOn,
+        "--interactive": args.interactive,
+        "--summary": args.summary,
+        "--save-snapshot": args.saveSnapshot,
+        "--wait": args.wait,
+      });
+      const deployed = await getDeployedTemplate(cfn, args.stackName);
+      const local = parseTemplate(readFileSync(args.template, "utf8"));
+      writeOutput(
+        renderTemplateDiff(deployed, local, {
+          showColor: args.showColor && !args.out,
+          showUnchangedProperties: args.showUnchangedProperties,
+          layout: args.layout,
+          width: process.stdout.columns,
+          arrayKeys: args.arrayKey,
+          setProperties: args.setProperty,
+        }),
+        args.out,
+      );
+      return;
+    }
+
+    if (args.compare) {
+      if (args.compare.length !== 2) {
+        throw new Error("--compare requires two change sets");
+      }
+      if (args.output !== "text") {
+        throw new Error("--compare only supports text output");
+      }
+      rejectOptions("--compare", {
+        "--fail-on": args.failOn,
+        "--interactive": args.interactive,
+        "--summary": args.summary,
+        "--save-snapshot": args.saveSnapshot,
+        "--wait": args.wait,
+      });
+      const resultOptions = {
+        filter: createChangeFilter({
+          includeTypes: args.includeType,
+          excludeTypes: args.excludeType,
+          resources: args.resource,
+          actions: args.action,
+        }),
+        arrayKeys: args.arrayKey,
+        setProperties: args.setProperty,
+      };
+      const [before, after] = await Promise.all(
+        args.compare.map(async (changeSetName) => {
+          // resolve names relative to --stack-name, like --change-set-name
+          const changeSetId =
+            args.stackName && !changeSetName.startsWith("arn:") && !changeSetName.startsWith("file://")
+              ? await getChangeSetId(cfn, args.stackName, changeSetName)
+              : changeSetName;
+          return getChangeSetResult(
+            await describeChangeSetTree(cfn, changeSetId, { concurrency: args.concurrency }),
+            resultOptions,
+          );
+        }),
+      );
+      if (before.stackId !== after.stackId) {
+        throw new Error(`Change sets belong to different stacks: ${before.stackId}, ${after.stackId}`);
+      }
+      writeOutput(
+        renderComparison(before, after, {
+          showColor: args.showColor && !args.out,
+          layout: args.layout,
+          width: process.stdout.columns,
+          arrayKeys: args.arrayKey,
+          setProperties: args.setProperty,
+        }),
+        args.out,
+      );
+      return;
+    }
+
     /** @type {string} */
     let changeSetId;
 
@@ -323,43 +351,60 @@ export async function main() {
       changeSetId = latestChangeSet?.ChangeSetId;
     } else {
       if (args.stackName) {
-        // get the change set id
-        const changeset = await cfn.send(
-          new DescribeChangeSetCommand({
-            StackName: args.stackName,
-            ChangeSetName: args.changeSetName,
-          }),
-        );
-        if (!changeset.ChangeSetId) throw new Error("Change set not found");
-        changeSetId = changeset.ChangeSetId;
+        changeSetId = await getChangeSetId(cfn, args.stackName, args.changeSetName);
       } else {
         changeSetId = args.changeSetName;
       }
     }
 
-    const response = await printChangeSet(
-      cfn,
-      changeSetId,
-      {
-        showUnchangedProperties: args.showUnchangedProperties,
-        showColor: args.showColor,
-      },
-      "",
-    );
-    console.log("===== Results =====");
-    console.log(`${response.totals.Add} resources added`);
-    console.log(`${response.totals.Modify} resources modified`);
-    console.log(`${response.totals.Remove} resources removed`);
-    console.log(`${response.totals.Import} resources imported`);
-    console.log(`${response.totals.Dynamic} undetermined resources`);
-    console.log();
-    const region = response.stackId.split(":")[3];
-    const qs = querystring.stringify({
-      stackId: response.stackId,
-      changeSetId: response.changeSetId,
-      region,
+    if (args.wait) {
+      await waitForChangeSet(cfn, changeSetId, { timeout: args.waitTimeout * 1000 });
+    }
+    const tree = await describeChangeSetTree(cfn, changeSetId, { concurrency: args.concurrency });
+    if (args.saveSnapshot) {
+      saveSnapshot(tree, args.saveSnapshot);
+    }
+    const response = getChangeSetResult(tree, {
+      filter: createChangeFilter({
+        includeTypes: args.includeType,
+        excludeTypes: args.excludeType,
+        resources: args.resource,
+        actions: args.action,
+      }),
+      arrayKeys: args.arrayKey,
+      setProperties: args.setProperty,
     });
-    console.log(`https://${region}.console.aws.amazon.com/cloudformation/home?${qs}#/stacks/changesets/changes?${qs}`);
+    if (args.interactive) {
+      await runInteractive(response, {
+        showColor: args.showColor,
+        showUnchangedProperties: args.showUnchangedProperties,
+      });
+    } else {
+      writeOutput(
+        renderChangeSetResult(response, {
+          output: args.output,
+          showColor: args.showColor && !args.out,
+          showUnchangedProperties: args.showUnchangedProperties,
+          layout: args.layout,
+          width: process.stdout.columns,
+          summary: args.summary,
+        }),
+        args.out,
+      );
+    }
+
+    const statusFailure = getStatusFailure(response.statuses);
+    if (statusFailure) {
+      console.error(statusFailure.message);
+      process.exit(statusFailure.exitCode);
+    }
+    const failures = getFailures(response.allChanges, args.failOn ?? []);
+    for (const failure of failures) {
+      console.error(`--fail-on ${failure.rule} matched: ${failure.logicalResourceIds.join(", ")}`);
+    }
+    if (failures.length > 0) {
+      process.exit(failures[0].exitCode);
+    }
   } catch (err) {
     console.log(`Error printing ChangeSet: ${err}`);
     if (args.debug) {
@@ -0,0 +1,37 @@
+import { strict as assert } from "node:assert";
+import { execFileSync } from "node:child_process";
+import { describe, it } from "node:test";
+
+/**
+ * Run the CLI and return its stdout
+ * @param {string[]} args
+ */
+function run(args) {
+  return execFileSync(process.execPath, ["cli.mjs", ...args], { encoding: "utf8" });
+}
+
+describe("index.test.mjs", () => {
+  it("json output of nested change sets", () => {
+    const actual = JSON.parse(run(["--change-set-name", "file://examples/nested.json", "--output", "json"]));
+    assert.deepEqual(actual.totals, { Add: 2, Modify: 3, Remove: 2, Import: 0, Dynamic: 0 });
+    assert.ok(actual.url.startsWith("https://us-east-2.console.aws.amazon.com/cloudformation/home?"));
+    const entry = actual.changes.find(
+      (/** @type {{ logicalResourceId: string }} */ change) => change.logicalResourceId === "Stack/BucketToReplace",
+    );
+    assert.equal(entry.path, "Stack/");
+    assert.equal(entry.resourceType, "AWS::S3::Bucket");
+    assert.equal(entry.action, "Modify");
+    assert.equal(entry.policyAction, "ReplaceAndDelete");
+    assert.deepEqual(entry.replacementNotes, {
+      "Stack/BucketToReplace": "Policy: ReplaceAndDelete",
+      "Stack/BucketToReplace/Properties/BucketName": "WARNING: Causes Replacement!",
+    });
+    const resource = entry.diff.node.properties["Stack/BucketToReplace"];
+    assert.equal(resource.action, "Default");
+    assert.deepEqual(resource.node.properties.Properties.node.properties.BucketName, {
+      action: "Replace",
+      beforeNode: { type: "primitive", value: "cfn-changeset-viewer-999999999999-us-east-2-bucket" },
+      afterNode: { type: "primitive", value: "cfn-changeset-viewer-999999999999-us-east-2-bucket2" },
+    });
+  });
+});
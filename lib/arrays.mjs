@@ -0,0 +1,118 @@
+/**
+ * @typedef {Record<string, string[]>} ArrayKeys key: property path, e.g. `Tags` or `PolicyDocument.Statement`,
+ * value: the properties identifying an item of the array at that path
+ */
+
+/**
+ * Arrays whose order has no meaning, and are compared as sets
+ * @type {string[]}
+ */
+export const DefaultSetProperties = [
+  "SubnetIds",
+  "Subnets",
+  "SecurityGroupIds",
+  "SecurityGroups",
+  "VpcSecurityGroupIds",
+  "AvailabilityZones",
+  "ManagedPolicyArns",
+  "AllowedMethods",
+  "CachedMethods",
+  "Aliases",
+  "Statement.Action",
+  "Statement.NotAction",
+  "Statement.Resource",
+  "Statement.NotResource",
+];
+
+/**
+ * Arrays whose items are matched by their identity, instead of by their position and shape
+ * @type {ArrayKeys}
+ */
+export const DefaultArrayKeys = {
+  Tags: ["Key"],
+  StackTags: ["Key"],
+  Statement: ["Sid"],
+  ContainerDefinitions: ["Name"],
+  Environment: ["Name"],
+  EnvironmentVariables: ["Name"],
+  Secrets: ["Name"],
+  RollbackTriggers: ["Arn"],
+  SecurityGroupIngress: [
+    "IpProtocol",
+    "FromPort",
+    "ToPort",
+    "CidrIp",
+    "CidrIpv6",
+    "SourceSecurityGroupId",
+    "SourcePrefixListId",
+  ],
+  SecurityGroupEgress: [
+    "IpProtocol",
+    "FromPort",
+    "ToPort",
+    "CidrIp",
+    "CidrIpv6",
+    "DestinationSecurityGroupId",
+    "DestinationPrefixListId",
+  ],
+};
+
+/**
+ * Return whether a property path ends with the given path, e.g. `Role.Properties.Policies.PolicyDocument.Statement` ends with `Statement`
+ * @param {string} path
+ * @param {string} suffix
+ */
+function pathEndsWith(path, suffix) {
+  return path === suffix || path.endsWith(`.${suffix}`);
+}
+
+/**
+ * Get the properties identifying the items of the array at a property path.
+ * The longest matching path wins, so `ContainerDefinitions.Environment` takes precedence over `Environment`
+ * @param {string} path property path of the array, without array indexes
+ * @param {ArrayKeys} arrayKeys
+ * @returns {string[] | undefined}
+ */
+export function getArrayKeys(path, arrayKeys) {
+  let match = "";
+  for (const suffix of Object.keys(arrayKeys)) {
+    if (suffix.length > match.length && pathEndsWith(path, suffix)) match = suffix;
+  }
+  return match ? arrayKeys[match] : undefined;
+}
+
+/**
+ * Return whether the array at a property path is compared as a set
+ * @param {string} path property path of the array, without array indexes
+ * @param {string[]} setProperties
+ */
+export function isSetProperty(path, setProperties) {
+  return setProperties.some((suffix) => pathEndsWith(path, suffix));
+}
+
+/**
+ * Parse `--set-property` values, e.g. `Principals` or `PolicyDocument.Statement.Principal.AWS`, and add them to the default set properties
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+export function parseSetProperties(values) {
+  return [...DefaultSetProperties, ...values.flatMap((value) => value.split(",")).filter((value) => value)];
+}
+
+/**
+ * Parse `--array-key` values, e.g. `Listeners=Port` or `Rules=Priority+Name`, and add them to the default array keys
+ * @param {string[]} values
+ * @returns {ArrayKeys}
+ */
+export function parseArrayKeys(values) {
+  /** @type {ArrayKeys} */
+  const arrayKeys = { ...DefaultArrayKeys };
+  for (const value of values.flatMap((value) => value.split(","))) {
+    const [path, keys] = value.split("=");
+    if (!path || !keys) {
+      throw new Error(`Invalid --array-key "${value}", expected <path>=<key>, e.g. Tags=Key`);
+    }
+    arrayKeys[path] = keys.split("+");
+  }
+  return arrayKeys;
+}
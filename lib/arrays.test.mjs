@@ -0,0 +1,43 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import {
+  DefaultArrayKeys,
+  DefaultSetProperties,
+  getArrayKeys,
+  isSetProperty,
+  parseArrayKeys,
+  parseSetProperties,
+} from "./arrays.mjs";
+
+describe("lib/arrays.test.mjs", () => {
+  it("matches the end of the property path", () => {
+    assert.deepEqual(getArrayKeys("Bucket.Properties.Tags", DefaultArrayKeys), ["Key"]);
+    assert.deepEqual(getArrayKeys("Role.Properties.Policies.PolicyDocument.Statement", DefaultArrayKeys), ["Sid"]);
+    assert.equal(getArrayKeys("Bucket.Properties.MyTags", DefaultArrayKeys), undefined);
+    assert.equal(getArrayKeys("Bucket.Properties.Tags.Values", DefaultArrayKeys), undefined);
+  });
+
+  it("the longest path wins", () => {
+    const arrayKeys = { ...DefaultArrayKeys, "ContainerDefinitions.Environment": ["Value"] };
+    assert.deepEqual(getArrayKeys("Task.Properties.ContainerDefinitions.Environment", arrayKeys), ["Value"]);
+    assert.deepEqual(getArrayKeys("Project.Properties.Environment", arrayKeys), ["Name"]);
+  });
+
+  it("parse", () => {
+    const arrayKeys = parseArrayKeys(["Listeners=Port+Protocol,Rules=Priority", "Tags=Value"]);
+    assert.deepEqual(arrayKeys.Listeners, ["Port", "Protocol"]);
+    assert.deepEqual(arrayKeys.Rules, ["Priority"]);
+    assert.deepEqual(arrayKeys.Tags, ["Value"]);
+    assert.deepEqual(arrayKeys.Statement, ["Sid"]);
+    assert.deepEqual(DefaultArrayKeys.Tags, ["Key"]);
+    assert.throws(() => parseArrayKeys(["Listeners"]), /Invalid --array-key "Listeners"/);
+  });
+  it("set properties", () => {
+    assert.ok(isSetProperty("Function.Properties.VpcConfig.SubnetIds", DefaultSetProperties));
+    assert.ok(isSetProperty("Role.Properties.Policies.PolicyDocument.Statement.Action", DefaultSetProperties));
+    assert.ok(!isSetProperty("Function.Properties.Layers", DefaultSetProperties));
+    const setProperties = parseSetProperties(["Layers,Principal.AWS"]);
+    assert.ok(isSetProperty("Function.Properties.Layers", setProperties));
+    assert.ok(isSetProperty("Bucket.Properties.SubnetIds", setProperties));
+  });
+});
@@ -0,0 +1,613 @@
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { setTimeout } from "node:timers/promises";
+import { CloudFormation, DescribeChangeSetCommand, DescribeStacksCommand } from "@aws-sdk/client-cloudformation";
+import { buildDiff } from "./diff.mjs";
+import { getNetworkExposureNotes } from "./network.mjs";
+import { createRequestQueue } from "./queue.mjs";
+import { isPendingStatus } from "./status.mjs";
+
+/**
+ * @typedef {import('./queue.mjs').RequestQueue} RequestQueue
+ * @typedef {Record<import('@aws-sdk/client-cloudformation').ChangeAction, number>} Totals
+ *
+ * @typedef {object} ChangeSetTree a change set and all of its nested change sets
+ * @property {string} changeSetId
+ * @property {string} stackId
+ * @property {import('@aws-sdk/client-cloudformation').Change[]} changes
+ * @property {import('@aws-sdk/client-cloudformation').DescribeChangeSetOutput} response the raw `DescribeChangeSet` response
+ * @property {Record<string, ChangeSetTree>} nestedChangeSets keyed by the logical id of the nested stack resource
+ * @property {import('@aws-sdk/client-cloudformation').Stack} [stack] the current stack, only fetched for the root change set
+ *
+ * @typedef {object} ChangeSetResult
+ * @property {string} changeSetId
+ * @property {string} stackId
+ * @property {Totals} totals
+ * @property {ChangeEntry[]} changes every resource change, nested ones following their nested stack resource
+ * @property {ChangeEntry[]} allChanges the changes including the ones hidden by the filter, e.g. to check `--fail-on` rules
+ * @property {import('./status.mjs').ChangeSetStatus[]} statuses the status of every change set, the root change set first
+ * @property {SummaryRow[]} summary the changes counted per nested stack and resource type
+ * @property {import('./diff.mjs').Diff} [stackDiff] parameters and settings of the stack before and after the change set,
+ * only for the root change set
+ *
+ * @typedef {Totals & { path: string, resourceType: string, Replacement: number }} SummaryRow resource changes of one type in
+ * one nested stack, counted like the totals: a (possible) replacement counts as added and removed.
+ * `Replacement` counts how many of them are replacements
+ */
+
+/**
+ * The counted columns of a summary row, in display order
+ * @type {Array<keyof Totals | "Replacement">}
+ */
+export const summaryCounts = ["Add", "Modify", "Remove", "Import", "Dynamic", "Replacement"];
+
+/**
+ * @template T
+ * @param {object} obj
+ * @param {string} path
+ * @param {T} value
+ */
+function set(obj, path, value) {
+  const keys = path.split("/").filter((x) => x);
+  let current = obj;
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = keys[i];
+    // @ts-expect-error
+    if (!(key in current) || typeof current[key] !== "object") {
+      // @ts-expect-error
+      current[key] = {};
+    }
+    // @ts-expect-error
+    current = current[key];
+  }
+
+  // @ts-expect-error
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * @param {object} obj
+ * @param {string[]} keys
+ */
+function sortObject(obj, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (key in obj) {
+      // @ts-expect-error
+      result[key] = obj[key];
+    }
+  }
+  return Object.assign(result, obj);
+}
+
+/**
+ * @typedef {object} ChangeEntry a single resource change, flattened out of the (possibly nested) change set
+ * @property {string} logicalResourceId logical id prefixed by its nested stack path, e.g. `MyNestedStack/MyResource`
+ * @property {string} path the nested stack path the resource lives in, e.g. `MyNestedStack/`, empty for the root stack
+ * @property {string} [physicalResourceId]
+ * @property {string} [resourceType]
+ * @property {import('@aws-sdk/client-cloudformation').ChangeAction} [action]
+ * @property {import('@aws-sdk/client-cloudformation').Replacement} [replacement]
+ * @property {import('@aws-sdk/client-cloudformation').PolicyAction} [policyAction]
+ * @property {string} [changeSetId] the change set of a nested stack resource
+ * @property {Record<string, string>} replacementNotes key: path (`Resource/Properties/BucketName`), value: note
+ * @property {import('./diff.mjs').Diff} diff
+ */
+
+/**
+ * Describe why a property changes, e.g. `changes because Bucket.Arn changes` or `may change because parameter Env changes`
+ * @param {import('@aws-sdk/client-cloudformation').ResourceChangeDetail} detail
+ * @returns {string | undefined} undefined if the property is changed by the template itself
+ */
+function getChangeCause(detail) {
+  /** @type {string | undefined} */
+  let cause;
+  if (detail.ChangeSource === "ResourceAttribute" || detail.ChangeSource === "ResourceReference") {
+    cause = detail.CausingEntity && `${detail.CausingEntity} changes`;
+  } else if (detail.ChangeSource === "ParameterReference") {
+    cause = detail.CausingEntity && `parameter ${detail.CausingEntity} changes`;
+  } else if (detail.ChangeSource === "Automatic") {
+    cause = "the nested stack is updated";
+  }
+  if (!cause) return undefined;
+  // dynamic values are only known once the change set is executed
+  return detail.Evaluation === "Dynamic" ? `may change because ${cause}` : `changes because ${cause}`;
+}
+
+/**
+ * Build the diff of a resource change from its before and after context,
+ * and the notes on replacements, change causes and opened network access
+ * @param {import('@aws-sdk/client-cloudformation').ResourceChange} resourceChange
+ * @param {import('./diff.mjs').DiffOptions} [options]
+ */
+export function getChangeDiff(resourceChange, options = {}) {
+  /** @type {*} */
+  const beforeStackTags = {};
+  /** @type {*} */
+  const afterStackTags = {};
+  /** @type {Record<string, string>} */
+  const replacementNotes = {};
+  /** @type {Record<string, Set<string>>} */
+  const causeNotes = {};
+
+  if (resourceChange.PolicyAction) {
+    replacementNotes[resourceChange.LogicalResourceId ?? ""] = `Policy: ${resourceChange.PolicyAction}`;
+  }
+
+  for (const detail of resourceChange.Details ?? []) {
+    if (!detail.Target) continue;
+    if (!detail.Target.Path) continue;
+    if (detail.Target.Attribute === "Tags" && detail.Target.Path?.startsWith("/Tags")) {
+      if (detail.Target.BeforeValue) {
+        try {
+          set(beforeStackTags, detail.Target.Path, JSON.parse(detail.Target.BeforeValue));
+        } catch (err) {
+          if (err instanceof SyntaxError) {
+            set(beforeStackTags, detail.Target.Path, detail.Target.BeforeValue);
+          }
+        }
+      }
+      if (detail.Target.AfterValue) {
+        try {
+          set(afterStackTags, detail.Target.Path, JSON.parse(detail.Target.AfterValue));
+        } catch (err) {
+          if (err instanceof SyntaxError) {
+            set(afterStackTags, detail.Target.Path, detail.Target.AfterValue);
+          }
+        }
+      }
+    }
+    if (detail.Target.RequiresRecreation === "Always") {
+      replacementNotes[join(resourceChange.LogicalResourceId ?? "", detail.Target.Path)] =
+        `WARNING: Causes Replacement!`;
+    } else if (detail.Target.RequiresRecreation === "Conditionally") {
+      replacementNotes[join(resourceChange.LogicalResourceId ?? "", detail.Target.Path)] = `May cause replacement!`;
+    }
+    const cause = getChangeCause(detail);
+    if (cause) {
+      const path = join(resourceChange.LogicalResourceId ?? "", detail.Target.Path);
+      causeNotes[path] = (causeNotes[path] ?? new Set()).add(cause);
+    }
+  }
+  for (const [path, causes] of Object.entries(causeNotes)) {
+    replacementNotes[path] = [replacementNotes[path], ...causes].filter((note) => note).join(", ");
+  }
+
+  /** @type {*} */
+  const before = {};
+  /** @type {*} */
+  const after = {};
+  if (resourceChange.BeforeContext) {
+    before[resourceChange.LogicalResourceId ?? ""] = sortObject(
+      {
+        Type: resourceChange.ResourceType,
+        ...JSON.parse(resourceChange.BeforeContext),
+      },
+      ["Type", "DeletionPolicy", "UpdateReplacePolicy", "Properties", "StackTags"],
+    );
+  }
+  if (resourceChange.AfterContext) {
+    after[resourceChange.LogicalResourceId ?? ""] = sortObject(
+      {
+        Type: resourceChange.ResourceType,
+        ...JSON.parse(resourceChange.AfterContext),
+      },
+      ["Type", "DeletionPolicy", "UpdateReplacePolicy", "Properties", "StackTags"],
+    );
+  }
+  const logicalId = resourceChange.LogicalResourceId ?? "";
+  const networkNotes = getNetworkExposureNotes(
+    resourceChange.ResourceType,
+    before[logicalId]?.Properties,
+    after[logicalId]?.Properties,
+  );
+  for (const [property, note] of Object.entries(networkNotes)) {
+    const path = join(logicalId, property);
+    replacementNotes[path] = [note, replacementNotes[path]].filter((text) => text).join(", ");
+  }
+  if (Object.keys(beforeStackTags).length > 0) {
+    before[resourceChange.LogicalResourceId ?? ""].StackTags = Object.values(beforeStackTags.Tags);
+  }
+  if (Object.keys(afterStackTags).length > 0) {
+    after[resourceChange.LogicalResourceId ?? ""].StackTags = Object.values(afterStackTags.Tags);
+  }
+  return {
+    diff: buildDiff(before, after, options),
+    replacementNotes,
+  };
+}
+
+/**
+ * The value CloudFormation returns for `NoEcho` parameters
+ */
+const NoEchoValue = "****";
+
+/**
+ * @param {Pick<import('@aws-sdk/client-cloudformation').Stack, "Parameters" | "Capabilities" | "NotificationARNs" | "RollbackConfiguration">} source
+ * @param {Record<string, string>} previousParameters values of the parameters using their previous value
+ */
+function getStackSettings(source, previousParameters) {
+  /** @type {Record<string, string>} */
+  const parameters = {};
+  for (const parameter of source.Parameters ?? []) {
+    if (!parameter.ParameterKey) continue;
+    parameters[parameter.ParameterKey] = parameter.UsePreviousValue
+      ? previousParameters[parameter.ParameterKey]
+      : // resolved values of SSM parameter types
+        (parameter.ResolvedValue ?? parameter.ParameterValue ?? "");
+  }
+  const rollbackConfiguration = source.RollbackConfiguration;
+  return {
+    Parameters: parameters,
+    // the stack and the change set don't list these in the same order
+    Capabilities: [...(source.Capabilities ?? [])].sort(),
+    NotificationARNs: [...(source.NotificationARNs ?? [])].sort(),
+    RollbackConfiguration: {
+      RollbackTriggers: rollbackConfiguration?.RollbackTriggers ?? [],
+      ...(rollbackConfiguration?.MonitoringTimeInMinutes !== undefined && {
+        MonitoringTimeInMinutes: rollbackConfiguration.MonitoringTimeInMinutes,
+      }),
+    },
+  };
+}
+
+/**
+ * Diff the parameters, capabilities, notification ARNs and rollback configuration of the current stack against the change set.
+ * `NoEcho` parameters are masked on both sides, as whether they change is unknown
+ * @param {import('@aws-sdk/client-cloudformation').DescribeChangeSetOutput} changeSet
+ * @param {import('@aws-sdk/client-cloudformation').Stack} stack
+ * @param {import('./diff.mjs').DiffOptions} [options]
+ */
+export function getStackDiff(changeSet, stack, options = {}) {
+  const before = getStackSettings(stack, {});
+  const after = getStackSettings(changeSet, before.Parameters);
+  for (const key of Object.keys(after.Parameters)) {
+    if (!(key in before.Parameters)) continue;
+    if (before.Parameters[key] === NoEchoValue || after.Parameters[key] === NoEchoValue) {
+      before.Parameters[key] = NoEchoValue;
+      after.Parameters[key] = NoEchoValue;
+    }
+  }
+  return buildDiff(before, after, options);
+}
+
+/**
+ * Send a request, retrying throttled requests
+ * @template T
+ * @param {() => Promise<T>} send
+ * @param {RequestQueue} queue the throttling backoff is shared by every request of the queue
+ * @returns {Promise<T>}
+ */
+async function retryThrottled(send, queue) {
+  let attempts = 0;
+  while (true) {
+    await queue.waitForBackoff();
+    try {
+      return await send();
+    } catch (err) {
+      if (!(err instanceof Error)) throw err;
+      if (err.name !== "Throttling") throw err;
+      if (attempts++ > 5) throw err;
+      // exponential backoff sleep with jitter
+      queue.backoff(2 ** attempts * 1000 + Math.random() * 1000);
+    }
+  }
+}
+
+/**
+ * Resolve the `ChangeSetId` of a nested stack resource against the change set it was found in.
+ * Snapshot bundles reference their nested change sets as `#NestedStack`, relative to the bundle file
+ * @param {string} nestedChangeSetId
+ * @param {string} parentChangeSetId
+ */
+export function resolveNestedChangeSetId(nestedChangeSetId, parentChangeSetId) {
+  if (nestedChangeSetId.startsWith("#") && parentChangeSetId.startsWith("file://")) {
+    return `${parentChangeSetId.split("#")[0]}${nestedChangeSetId}`;
+  }
+  return nestedChangeSetId;
+}
+
+/**
+ * Fetch a single change set by name or ARN, or read it from a `file://` path.
+ * A nested change set of a snapshot bundle is read with `file://bundle.json#NestedStack`
+ * @param {CloudFormation} cfn
+ * @param {string} changeSetId
+ * @param {RequestQueue} [queue] shares the throttling backoff with other requests
+ */
+export async function getChangeSetChanges(cfn, changeSetId, queue = createRequestQueue(1)) {
+  if (changeSetId.startsWith("file://")) {
+    const [filePath, nestedPath] = changeSetId.replace("file://", "").split("#");
+    const contents = readFileSync(filePath, "utf-8");
+    /** @type {import('./snapshot.mjs').Snapshot} */
+    const file = JSON.parse(contents);
+    const response = nestedPath ? file.NestedChangeSets?.[nestedPath] : file;
+    if (!response) {
+      throw new Error(`Nested change set ${nestedPath} not found in ${filePath}`);
+    }
+    if (!response.ChangeSetId || !response.StackId) {
+      throw new Error("Change set file must contain ChangeSetId and StackId");
+    }
+    return {
+      changeSetId: response.ChangeSetId,
+      stackId: response.StackId,
+      changes: response.Changes ?? [],
+      response,
+    };
+  }
+  /** @type {import('@aws-sdk/client-cloudformation').Change[]} */
+  const changes = [];
+  let response;
+  let nextToken;
+  do {
+    /** @type {import('@aws-sdk/client-cloudformation').DescribeChangeSetInput} */
+    const input = {
+      ChangeSetName: changeSetId,
+      IncludePropertyValues: true,
+      NextToken: nextToken,
+    };
+    const page = await retryThrottled(() => cfn.send(new DescribeChangeSetCommand(input)), queue);
+    response ??= page;
+    changes.push(...(page.Changes ?? []));
+    nextToken = page.NextToken;
+  } while (nextToken);
+  response = { ...response, Changes: changes, NextToken: undefined };
+
+  if (!response.ChangeSetId || !response.StackId) {
+    throw new Error("Change set file must contain ChangeSetId and StackId");
+  }
+  return {
+    changeSetId: response.ChangeSetId,
+    stackId: response.StackId,
+    changes,
+    response,
+  };
+}
+
+/**
+ * Fetch the current state of the stack a change set belongs to, or read it from a `file://` snapshot
+ * @param {CloudFormation} cfn
+ * @param {string} changeSetId
+ * @param {string} stackId
+ * @param {RequestQueue} [queue] shares the throttling backoff with other requests
+ * @returns {Promise<import('@aws-sdk/client-cloudformation').Stack | undefined>} undefined if the stack is not known
+ */
+export async function getCurrentStack(cfn, changeSetId, stackId, queue = createRequestQueue(1)) {
+  if (changeSetId.startsWith("file://")) {
+    const [filePath, nestedPath] = changeSetId.replace("file://", "").split("#");
+    if (nestedPath) return undefined;
+    /** @type {import('./snapshot.mjs').Snapshot} */
+    const file = JSON.parse(readFileSync(filePath, "utf-8"));
+    return file.Stack;
+  }
+  try {
+    const response = await retryThrottled(() => cfn.send(new DescribeStacksCommand({ StackName: stackId })), queue);
+    return response.Stacks?.[0];
+  } catch (err) {
+    // the change set can still be shown without the current parameters
+    if (err instanceof Error && err.name === "AccessDenied") return undefined;
+    throw err;
+  }
+}
+
+/**
+ * Wait for a change set to finish creating, polling its status
+ * @param {CloudFormation} cfn
+ * @param {string} changeSetId
+ * @param {object} [options]
+ * @param {number} [options.delay] milliseconds between polls, defaults to 5 seconds
+ * @param {number} [options.timeout] milliseconds to wait at most, defaults to 10 minutes
+ * @param {RequestQueue} [options.queue] shares the throttling backoff with other requests
+ * @returns {Promise<import('@aws-sdk/client-cloudformation').ChangeSetStatus | undefined>} the last status,
+ * still pending if the timeout was reached
+ */
+export async function waitForChangeSet(cfn, changeSetId, options = {}) {
+  if (changeSetId.startsWith("file://")) return undefined;
+  const queue = options.queue ?? createRequestQueue(1);
+  const deadline = Date.now() + (options.timeout ?? 10 * 60 * 1000);
+  while (true) {
+    const response = await retryThrottled(
+      () => cfn.send(new DescribeChangeSetCommand({ ChangeSetName: changeSetId })),
+      queue,
+    );
+    if (!isPendingStatus(response.Status) || Date.now() >= deadline) return response.Status;
+    await setTimeout(options.delay ?? 5000);
+  }
+}
+
+/**
+ * Fetch a change set and, recursively, all of its nested change sets.
+ * Nested change sets are fetched concurrently, the tree keeps the order of the change set
+ * @param {CloudFormation} cfn
+ * @param {string} changeSetId the name, ARN, or file:// path of the change set
+ * @param {object} [options]
+ * @param {number} [options.concurrency] how many change sets are fetched at once, defaults to 5
+ * @param {RequestQueue} [options.queue] share the concurrency limit and throttling backoff with other calls
+ * @returns {Promise<ChangeSetTree>}
+ */
+export async function describeChangeSetTree(cfn, changeSetId, options = {}) {
+  const queue = options.queue ?? createRequestQueue(options.concurrency ?? 5);
+  const tree = await describeNestedChangeSetTree(cfn, changeSetId, queue);
+  const stack = await queue.run(() => getCurrentStack(cfn, changeSetId, tree.stackId, queue));
+  return stack ? { ...tree, stack } : tree;
+}
+
+/**
+ * @param {CloudFormation} cfn
+ * @param {string} changeSetId
+ * @param {RequestQueue} queue
+ * @returns {Promise<ChangeSetTree>}
+ */
+async function describeNestedChangeSetTree(cfn, changeSetId, queue) {
+  const response = await queue.run(() => getChangeSetChanges(cfn, changeSetId, queue));
+
+  const nestedStacks = response.changes.flatMap(({ ResourceChange: resourceChange }) =>
+    resourceChange?.ChangeSetId
+      ? [
+          {
+            logicalId: resourceChange.LogicalResourceId ?? "",
+            changeSetId: resolveNestedChangeSetId(resourceChange.ChangeSetId, changeSetId),
+          },
+        ]
+      : [],
+  );
+  const nestedTrees = await Promise.all(
+    nestedStacks.map((nestedStack) => describeNestedChangeSetTree(cfn, nestedStack.changeSetId, queue)),
+  );
+  /** @type {Record<string, ChangeSetTree>} */
+  const nestedChangeSets = {};
+  nestedStacks.forEach((nestedStack, i) => {
+    nestedChangeSets[nestedStack.logicalId] = nestedTrees[i];
+  });
+  return {
+    changeSetId: response.changeSetId,
+    stackId: response.stackId,
+    changes: response.changes,
+    response: response.response,
+    nestedChangeSets,
+  };
+}
+
+/**
+ * Build the entry of a single resource change
+ * @param {import('@aws-sdk/client-cloudformation').ResourceChange} resourceChange
+ * @param {import('./diff.mjs').DiffOptions} [options]
+ * @param {string} [path] the nested stack path of the resource, e.g. `MyNestedStack/`
+ * @returns {ChangeEntry}
+ */
+export function getChangeEntry(resourceChange, options = {}, path = "") {
+  const logicalId = `${path}${resourceChange.LogicalResourceId}`;
+  const { diff, replacementNotes } = getChangeDiff(
+    {
+      ...resourceChange,
+      // handle rendering nested stack resources as MyNestedStack/MyResource
+      LogicalResourceId: logicalId,
+    },
+    { arrayKeys: options.arrayKeys, setProperties: options.setProperties },
+  );
+  return {
+    logicalResourceId: logicalId,
+    path,
+    physicalResourceId: resourceChange.PhysicalResourceId,
+    resourceType: resourceChange.ResourceType,
+    action: resourceChange.Action,
+    replacement: resourceChange.Replacement,
+    policyAction: resourceChange.PolicyAction,
+    changeSetId: resourceChange.ChangeSetId,
+    replacementNotes,
+    diff,
+  };
+}
+
+/**
+ * @param {import('@aws-sdk/client-cloudformation').ResourceChange} resourceChange
+ */
+function isReplacement(resourceChange) {
+  return resourceChange.Action === "Modify" && resourceChange.Replacement !== "False";
+}
+
+/**
+ * Count a resource change by its action, a (possible) replacement counts as both added and removed
+ * @param {Totals} counts
+ * @param {import('@aws-sdk/client-cloudformation').ResourceChange} resourceChange
+ */
+function countChange(counts, resourceChange) {
+  if (isReplacement(resourceChange)) {
+    counts.Add += 1;
+    counts.Remove += 1;
+  } else if (resourceChange.Action) {
+    counts[resourceChange.Action] += 1;
+  }
+}
+
+/**
+ * Flatten a change set tree into its resource changes and totals
+ * @param {ChangeSetTree} tree
+ * @param {object} [options]
+ * @param {import('./filter.mjs').ChangeFilter} [options.filter] only matching resources are included in `changes` and counted
+ * @param {import('./arrays.mjs').ArrayKeys} [options.arrayKeys] properties identifying the items of arrays, defaults to `DefaultArrayKeys`
+ * @param {string[]} [options.setProperties] paths of arrays compared as sets, defaults to `DefaultSetProperties`
+ * @param {string} [path]
+ * @returns {ChangeSetResult}
+ */
+export function getChangeSetResult(tree, options = {}, path = "") {
+  /** @type {Totals} */
+  const totals = {
+    Add: 0,
+    Modify: 0,
+    Remove: 0,
+    Import: 0,
+    Dynamic: 0,
+  };
+  /** @type {ChangeEntry[]} */
+  const changes = [];
+  /** @type {ChangeEntry[]} */
+  const allChanges = [];
+  /** @type {SummaryRow[]} */
+  const summary = [];
+  /** @type {SummaryRow[]} */
+  const nestedSummaries = [];
+  /** @type {import('./status.mjs').ChangeSetStatus[]} */
+  const statuses = [
+    {
+      path,
+      changeSetId: tree.changeSetId,
+      status: tree.response.Status,
+      statusReason: tree.response.StatusReason,
+      executionStatus: tree.response.ExecutionStatus,
+    },
+  ];
+
+  for (const change of tree.changes) {
+    const resourceChange = change.ResourceChange;
+    if (!resourceChange) continue;
+
+    const entry = getChangeEntry(resourceChange, options, path);
+    allChanges.push(entry);
+    // filtered out resources are not counted, but their nested change sets are still included
+    if (!options.filter || options.filter(entry)) {
+      countChange(totals, resourceChange);
+      changes.push(entry);
+
+      const resourceType = resourceChange.ResourceType ?? "";
+      let row = summary.find((row) => row.resourceType === resourceType);
+      if (!row) {
+        row = { path, resourceType, Add: 0, Modify: 0, Remove: 0, Import: 0, Dynamic: 0, Replacement: 0 };
+        summary.push(row);
+      }
+      countChange(row, resourceChange);
+      if (isReplacement(resourceChange)) row.Replacement += 1;
+    }
+    const nestedTree = tree.nestedChangeSets[resourceChange.LogicalResourceId ?? ""];
+    if (nestedTree) {
+      const nested = getChangeSetResult(nestedTree, options, `${entry.logicalResourceId}/`);
+      changes.push(...nested.changes);
+      allChanges.push(...nested.allChanges);
+      statuses.push(...nested.statuses);
+      nestedSummaries.push(...nested.summary);
+      totals.Add += nested.totals.Add;
+      totals.Modify += nested.totals.Modify;
+      totals.Remove += nested.totals.Remove;
+      totals.Import += nested.totals.Import;
+      totals.Dynamic += nested.totals.Dynamic;
+    }
+  }
+  /** @type {ChangeSetResult} */
+  const result = {
+    changeSetId: tree.changeSetId,
+    stackId: tree.stackId,
+    totals,
+    changes,
+    allChanges,
+    statuses,
+    // the resources of a stack are counted before the ones of its nested stacks
+    summary: [...summary, ...nestedSummaries],
+  };
+  if (tree.stack) {
+    result.stackDiff = getStackDiff(tree.response, tree.stack, {
+      arrayKeys: options.arrayKeys,
+      setProperties: options.setProperties,
+    });
+  }
+  return result;
+}
@@ -0,0 +1,281 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { CloudFormation, DescribeChangeSetCommand } from "@aws-sdk/client-cloudformation";
+import {
+  describeChangeSetTree,
+  getChangeDiff,
+  getChangeSetChanges,
+  getChangeSetResult,
+  getStackDiff,
+  waitForChangeSet,
+} from "./changeset.mjs";
+import { getDiffLines } from "./diff.mjs";
+import { createChangeFilter } from "./filter.mjs";
+
+describe("lib/changeset.test.mjs", () => {
+  const cfn = new CloudFormation({ region: "us-east-1" });
+
+  it("describe nested change set tree from files", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    assert.equal(
+      tree.stackId,
+      "arn:aws:cloudformation:us-east-2:999999999999:stack/nested/fa52c320-9439-11f0-847a-02f626baf31f",
+    );
+    assert.equal(tree.changes.length, 1);
+    assert.deepEqual(Object.keys(tree.nestedChangeSets), ["Stack"]);
+    assert.equal(tree.nestedChangeSets.Stack.changes.length, 5);
+  });
+
+  it("flatten nested change set tree", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const result = getChangeSetResult(tree);
+    assert.deepEqual(result.totals, { Add: 2, Modify: 3, Remove: 2, Import: 0, Dynamic: 0 });
+    assert.deepEqual(
+      result.changes.map((entry) => [entry.logicalResourceId, entry.path]),
+      [
+        ["Stack", ""],
+        ["Stack/BucketToAdd", "Stack/"],
+        ["Stack/BucketToRemove", "Stack/"],
+        ["Stack/BucketToReplace", "Stack/"],
+        ["Stack/BucketToUpdate", "Stack/"],
+        ["Stack/BucketWithTags", "Stack/"],
+      ],
+    );
+    assert.deepEqual(result.changes[3].replacementNotes, {
+      "Stack/BucketToReplace": "Policy: ReplaceAndDelete",
+      "Stack/BucketToReplace/Properties/BucketName": "WARNING: Causes Replacement!",
+    });
+  });
+
+  it("annotate properties with the cause of their change", () => {
+    const { diff, replacementNotes } = getChangeDiff({
+      LogicalResourceId: "Function",
+      ResourceType: "AWS::Lambda::Function",
+      Action: "Modify",
+      BeforeContext: JSON.stringify({ Properties: { Role: "arn:aws:iam::123123123123:role/old", MemorySize: 128 } }),
+      AfterContext: JSON.stringify({
+        Properties: { Role: "{{changeSet:KNOWN_AFTER_APPLY}}", MemorySize: 256 },
+      }),
+      Details: [
+        {
+          Target: { Attribute: "Properties", Name: "Role", Path: "/Properties/Role", RequiresRecreation: "Never" },
+          Evaluation: "Dynamic",
+          ChangeSource: "ResourceAttribute",
+          CausingEntity: "Role.Arn",
+        },
+        {
+          Target: {
+            Attribute: "Properties",
+            Name: "MemorySize",
+            Path: "/Properties/MemorySize",
+            RequiresRecreation: "Never",
+          },
+          Evaluation: "Static",
+          ChangeSource: "ParameterReference",
+          CausingEntity: "Memory",
+        },
+        {
+          Target: {
+            Attribute: "Properties",
+            Name: "MemorySize",
+            Path: "/Properties/MemorySize",
+            RequiresRecreation: "Never",
+          },
+          Evaluation: "Static",
+          ChangeSource: "DirectModification",
+        },
+      ],
+    });
+    assert.deepEqual(replacementNotes, {
+      "Function/Properties/Role": "may change because Role.Arn changes",
+      "Function/Properties/MemorySize": "changes because parameter Memory changes",
+    });
+    assert.deepEqual(
+      getDiffLines(diff, { indent: 0, showColor: false, showUnchangedProperties: false }, replacementNotes),
+      [
+        "  Function:",
+        "    Properties:",
+        '-     Role: "arn:aws:iam::123123123123:role/old" # may change because Role.Arn changes',
+        '+     Role: "{{changeSet:KNOWN_AFTER_APPLY}}" # may change because Role.Arn changes',
+        "-     MemorySize: 128 # changes because parameter Memory changes",
+        "+     MemorySize: 256 # changes because parameter Memory changes",
+      ],
+    );
+  });
+
+  it("filtered totals still include nested change sets", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const result = getChangeSetResult(tree, { filter: createChangeFilter({ includeTypes: ["AWS::S3::Bucket"] }) });
+    assert.deepEqual(result.totals, { Add: 2, Modify: 2, Remove: 2, Import: 0, Dynamic: 0 });
+    assert.equal(result.changes.length, 5);
+  });
+
+  it("count changes per nested stack and resource type", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const result = getChangeSetResult(tree);
+    assert.deepEqual(result.summary, [
+      {
+        path: "",
+        resourceType: "AWS::CloudFormation::Stack",
+        Add: 0,
+        Modify: 1,
+        Remove: 0,
+        Import: 0,
+        Dynamic: 0,
+        Replacement: 0,
+      },
+      {
+        path: "Stack/",
+        resourceType: "AWS::S3::Bucket",
+        // the replaced bucket counts as added and removed, like in the totals
+        Add: 2,
+        Modify: 2,
+        Remove: 2,
+        Import: 0,
+        Dynamic: 0,
+        Replacement: 1,
+      },
+    ]);
+    const filtered = getChangeSetResult(tree, { filter: createChangeFilter({ includeTypes: ["AWS::S3::Bucket"] }) });
+    assert.deepEqual(
+      filtered.summary.map((row) => row.resourceType),
+      ["AWS::S3::Bucket"],
+    );
+  });
+
+  it("fetch every page of a change set", async () => {
+    /** @type {Array<string | undefined>} */
+    const requestedTokens = [];
+    const client = /** @type {CloudFormation} */ (
+      /** @type {unknown} */ ({
+        /** @param {DescribeChangeSetCommand} command */
+        send: async (command) => {
+          assert.ok(command instanceof DescribeChangeSetCommand);
+          requestedTokens.push(command.input.NextToken);
+          const page = command.input.NextToken === undefined ? 1 : Number(command.input.NextToken);
+          return {
+            ChangeSetId: "arn:aws:cloudformation:us-east-1:123123123123:changeSet/paged/1",
+            StackId: "arn:aws:cloudformation:us-east-1:123123123123:stack/paged/1",
+            Changes: [{ Type: "Resource", ResourceChange: { Action: "Add", LogicalResourceId: `Bucket${page}` } }],
+            NextToken: page < 3 ? String(page + 1) : undefined,
+          };
+        },
+      })
+    );
+    const response = await getChangeSetChanges(client, "paged");
+    assert.deepEqual(requestedTokens, [undefined, "2", "3"]);
+    assert.deepEqual(
+      response.changes.map((change) => change.ResourceChange?.LogicalResourceId),
+      ["Bucket1", "Bucket2", "Bucket3"],
+    );
+    assert.equal(response.response.NextToken, undefined);
+    assert.equal(response.response.Changes?.length, 3);
+  });
+
+  it("fetch nested change sets concurrently in order", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const client = /** @type {CloudFormation} */ (
+      /** @type {unknown} */ ({
+        /** @param {DescribeChangeSetCommand} command */
+        send: async (command) => {
+          const name = command.input.ChangeSetName ?? "";
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          // later nested stacks finish first
+          await new Promise((resolve) => setTimeout(resolve, name === "root" ? 1 : 20 - Number(name.slice(-1))));
+          running--;
+          const nested = name === "root" ? ["Nested1", "Nested2", "Nested3", "Nested4"] : [];
+          return {
+            ChangeSetId: name,
+            StackId: `arn:aws:cloudformation:us-east-1:123123123123:stack/${name}/1`,
+            Changes: nested.map((logicalId) => ({
+              Type: "Resource",
+              ResourceChange: { Action: "Modify", LogicalResourceId: logicalId, ChangeSetId: logicalId },
+            })),
+          };
+        },
+      })
+    );
+    const tree = await describeChangeSetTree(client, "root", { concurrency: 2 });
+    assert.equal(maxRunning, 2);
+    assert.deepEqual(Object.keys(tree.nestedChangeSets), ["Nested1", "Nested2", "Nested3", "Nested4"]);
+    assert.deepEqual(
+      Object.values(tree.nestedChangeSets).map((nested) => nested.changeSetId),
+      ["Nested1", "Nested2", "Nested3", "Nested4"],
+    );
+  });
+  it("read the current stack from a snapshot", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/parameters.json");
+    assert.equal(tree.stack?.StackName, "parameters");
+    const result = getChangeSetResult(tree);
+    assert.ok(result.stackDiff);
+    const withoutStack = getChangeSetResult(await describeChangeSetTree(cfn, "file://examples/simple.json"));
+    assert.equal(withoutStack.stackDiff, undefined);
+  });
+
+  it("diff parameters and stack settings", () => {
+    const diff = getStackDiff(
+      {
+        Parameters: [
+          { ParameterKey: "Env", UsePreviousValue: true },
+          { ParameterKey: "Password", ParameterValue: "****" },
+          { ParameterKey: "Added", ParameterValue: "new" },
+        ],
+        Capabilities: ["CAPABILITY_NAMED_IAM", "CAPABILITY_IAM"],
+        RollbackConfiguration: { RollbackTriggers: [{ Arn: "arn:alarm", Type: "AWS::CloudWatch::Alarm" }] },
+      },
+      {
+        StackName: "stack",
+        StackStatus: "UPDATE_COMPLETE",
+        CreationTime: new Date(0),
+        Parameters: [
+          { ParameterKey: "Env", ParameterValue: "prod" },
+          { ParameterKey: "Password", ParameterValue: "secret" },
+        ],
+        Capabilities: ["CAPABILITY_IAM", "CAPABILITY_NAMED_IAM"],
+      },
+    );
+    assert.deepEqual(getDiffLines(diff, { indent: 0, showColor: false, showUnchangedProperties: true }), [
+      "  Parameters:",
+      '    Env: "prod"',
+      '    Password: "****"',
+      '+   Added: "new"',
+      "  Capabilities:",
+      '    - "CAPABILITY_IAM"',
+      '    - "CAPABILITY_NAMED_IAM"',
+      "  NotificationARNs: []",
+      "  RollbackConfiguration:",
+      "    RollbackTriggers:",
+      '+     - Arn: "arn:alarm"',
+      '+       Type: "AWS::CloudWatch::Alarm"',
+    ]);
+  });
+  it("collect the status of every change set", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const result = getChangeSetResult(tree);
+    assert.deepEqual(
+      result.statuses.map((status) => [status.path, status.status, status.executionStatus]),
+      [
+        ["", "CREATE_COMPLETE", "AVAILABLE"],
+        ["Stack/", "CREATE_COMPLETE", "UNAVAILABLE"],
+      ],
+    );
+  });
+
+  it("wait for a change set to be created", async () => {
+    const statuses = ["CREATE_PENDING", "CREATE_IN_PROGRESS", "CREATE_COMPLETE"];
+    let requests = 0;
+    const client = /** @type {CloudFormation} */ (
+      /** @type {unknown} */ ({
+        send: async () => ({ Status: statuses[requests++] }),
+      })
+    );
+    assert.equal(await waitForChangeSet(client, "example", { delay: 0 }), "CREATE_COMPLETE");
+    assert.equal(requests, 3);
+
+    requests = 0;
+    assert.equal(await waitForChangeSet(client, "example", { delay: 0, timeout: 0 }), "CREATE_PENDING");
+    assert.equal(requests, 1);
+  });
+});
@@ -0,0 +1,115 @@
+import chalk from "chalk";
+import { getDiffValue, getObjectDiff } from "./diff.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ * @typedef {import('./changeset.mjs').ChangeSetResult} ChangeSetResult
+ *
+ * @typedef {object} ComparedChange a resource whose planned change differs between two change sets
+ * @property {string} logicalResourceId
+ * @property {string} [resourceType]
+ * @property {ChangeEntry} [before] the change in the first change set, missing if the resource only changes in the second
+ * @property {ChangeEntry} [after] the change in the second change set, missing if the resource only changes in the first
+ *
+ * @typedef {object} ChangeSetComparison
+ * @property {ComparedChange[]} changes resources only in one of the change sets, or with a different plan
+ * @property {number} unchanged resources with the same plan in both change sets
+ */
+
+/**
+ * The plan of a resource change: what CloudFormation will do, and the resource it will leave behind
+ * @param {ChangeEntry} entry
+ */
+function getPlan(entry) {
+  // the diff is keyed by the logical id, the resource is missing after a removal
+  const resources = /** @type {Record<string, import('./diff.mjs').JsonObject>} */ (getDiffValue(entry.diff, "after"));
+  return {
+    Plan: {
+      Action: entry.action,
+      Replacement: entry.replacement,
+      PolicyAction: entry.policyAction,
+    },
+    ...resources?.[entry.logicalResourceId],
+  };
+}
+
+/**
+ * Compare the resource changes of two change sets of the same stack, e.g. a change set regenerated after a review,
+ * by what each of them plans to do to every resource
+ * @param {ChangeSetResult} before
+ * @param {ChangeSetResult} after
+ * @returns {ChangeSetComparison}
+ */
+export function compareChangeSetResults(before, after) {
+  const beforeChanges = new Map(before.changes.map((entry) => [entry.logicalResourceId, entry]));
+  const afterChanges = new Map(after.changes.map((entry) => [entry.logicalResourceId, entry]));
+  /** @type {ComparedChange[]} */
+  const changes = [];
+  let unchanged = 0;
+  // in the order of the second change set, followed by the resources that only change in the first
+  for (const logicalResourceId of new Set([...afterChanges.keys(), ...beforeChanges.keys()])) {
+    const beforeEntry = beforeChanges.get(logicalResourceId);
+    const afterEntry = afterChanges.get(logicalResourceId);
+    if (beforeEntry && afterEntry && JSON.stringify(getPlan(beforeEntry)) === JSON.stringify(getPlan(afterEntry))) {
+      unchanged += 1;
+      continue;
+    }
+    changes.push({
+      logicalResourceId,
+      resourceType: (afterEntry ?? beforeEntry)?.resourceType,
+      before: beforeEntry,
+      after: afterEntry,
+    });
+  }
+  return { changes, unchanged };
+}
+
+/**
+ * Render the comparison of two change sets as text.
+ * Resources changing in only one of them are listed, for the others the difference in their plans is shown
+ * @param {ChangeSetResult} before
+ * @param {ChangeSetResult} after
+ * @param {object} [options]
+ * @param {boolean} [options.showColor]
+ * @param {import('./diff.mjs').Layout} [options.layout]
+ * @param {number} [options.width]
+ * @param {import('./arrays.mjs').ArrayKeys} [options.arrayKeys]
+ * @param {string[]} [options.setProperties]
+ * @returns {string}
+ */
+export function renderComparison(before, after, options = {}) {
+  const showColor = options.showColor ?? true;
+  const { changes, unchanged } = compareChangeSetResults(before, after);
+  const totals = { onlyBefore: 0, onlyAfter: 0, different: 0 };
+
+  /** @type {string[]} */
+  const lines = [`A: ${before.changeSetId}`, `B: ${after.changeSetId}`, ""];
+  for (const change of changes) {
+    const label = `${change.logicalResourceId} ${change.resourceType ?? ""}`.trimEnd();
+    if (!change.after) {
+      totals.onlyBefore += 1;
+      const line = `- ${label} (${change.before?.action ?? ""} only in A)`;
+      lines.push(showColor ? chalk.red(line) : line, "");
+    } else if (!change.before) {
+      totals.onlyAfter += 1;
+      const line = `+ ${label} (${change.after.action ?? ""} only in B)`;
+      lines.push(showColor ? chalk.green(line) : line, "");
+    } else {
+      totals.different += 1;
+      const diffLines = getObjectDiff(
+        { [change.logicalResourceId]: getPlan(change.before) },
+        { [change.logicalResourceId]: getPlan(change.after) },
+        options,
+      );
+      lines.push(...diffLines, "");
+    }
+  }
+  lines.push(
+    "===== Comparison =====",
+    `${totals.onlyBefore} resources only changed in A`,
+    `${totals.onlyAfter} resources only changed in B`,
+    `${totals.different} resources with a different change`,
+    `${unchanged} resources with the same change`,
+  );
+  return lines.join("\n");
+}
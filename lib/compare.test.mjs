@@ -0,0 +1,68 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { CloudFormation } from "@aws-sdk/client-cloudformation";
+import { describeChangeSetTree, getChangeSetResult } from "./changeset.mjs";
+import { compareChangeSetResults, renderComparison } from "./compare.mjs";
+
+describe("lib/compare.test.mjs", () => {
+  const cfn = new CloudFormation({ region: "us-east-1" });
+
+  /**
+   * @param {string} file
+   */
+  async function getResult(file) {
+    return getChangeSetResult(await describeChangeSetTree(cfn, `file://examples/${file}`));
+  }
+
+  it("compare the plans of two change sets", async () => {
+    const before = await getResult("multiple.json");
+    const after = await getResult("multiple.regenerated.json");
+    const { changes, unchanged } = compareChangeSetResults(before, after);
+    assert.equal(unchanged, 2);
+    assert.deepEqual(
+      changes.map((change) => [change.logicalResourceId, change.before?.action, change.after?.action]),
+      [
+        ["BucketToUpdate", "Modify", "Modify"],
+        ["QueueToAdd", undefined, "Add"],
+        ["BucketToRemove", "Remove", undefined],
+      ],
+    );
+  });
+
+  it("a change set has the same plan as itself", async () => {
+    const result = await getResult("nested.json");
+    assert.deepEqual(compareChangeSetResults(result, result), { changes: [], unchanged: result.changes.length });
+  });
+
+  it("render the comparison", async () => {
+    const before = await getResult("multiple.json");
+    const after = await getResult("multiple.regenerated.json");
+    const actual = renderComparison(before, after, { showColor: false });
+    const expected = [
+      "  BucketToUpdate:",
+      "    Properties:",
+      "      VersioningConfiguration:",
+      '-       Status: "Enabled"',
+      '+       Status: "Suspended"',
+      "",
+      "+ QueueToAdd AWS::SQS::Queue (Add only in B)",
+      "",
+      "- BucketToRemove AWS::S3::Bucket (Remove only in A)",
+      "",
+      "===== Comparison =====",
+      "1 resources only changed in A",
+      "1 resources only changed in B",
+      "1 resources with a different change",
+      "2 resources with the same change",
+    ].join("\n");
+    assert.ok(actual.endsWith(expected), actual);
+  });
+
+  it("compare the action of a resource", async () => {
+    const before = await getResult("multiple.json");
+    const after = structuredClone(before);
+    after.changes[2].replacement = "True";
+    const actual = renderComparison(before, after, { showColor: false });
+    assert.ok(actual.includes('    Plan:\n-     Replacement: "False"\n+     Replacement: "True"'), actual);
+  });
+});
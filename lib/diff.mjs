@@ -1,5 +1,7 @@
 import { join } from "node:path";
 import chalk from "chalk";
+import YAML from "yaml";
+import { DefaultArrayKeys, DefaultSetProperties, getArrayKeys, isSetProperty } from "./arrays.mjs";
 
 /**
  * @typedef {string | number | boolean | null} JsonPrimitive
@@ -14,22 +16,28 @@ import chalk from "chalk";
  * @typedef {{
  *   type: "object"
  *   properties: Record<string, Diff>
- * }} DiffNodeObject
+ *   format?: EmbeddedFormat
+ *   intrinsic?: string
+ * }} DiffNodeObject intrinsic: short form of an intrinsic function, e.g. `!GetAtt Bucket.Arn`
  * @typedef {{
  *   type: "array"
  *   items: Array<Diff>
+ *   format?: EmbeddedFormat
  * }} DiffNodeArray
+ * @typedef {"json" | "yaml"} EmbeddedFormat the format of a string value that was parsed to be diffed structurally
  * @typedef {DiffNodePrimitive | DiffNodeObject | DiffNodeArray} DiffNode
  *
  * @typedef {{
  *   action: "Add" | "Remove" | "Default"
  *   node: DiffNode
+ *   note?: string
  * }} DiffChange changes that don't require a before and after node
  *
  * @typedef {{
  *   action: "Replace"
  *   beforeNode: DiffNode
  *   afterNode: DiffNode
+ *   note?: string
  * }} DiffReplace used to represent a before and after change where both need to be logged
  *
  * @typedef {DiffChange | DiffReplace} Diff
@@ -41,7 +49,23 @@ import chalk from "chalk";
  *   indent: number
  *   colorOverride?: chalk.Chalk
  *   iconOverride?: string
- * }} LogOptions
+ *   valueText?: string
+ *   linePaths?: string[]
+ * }} LogOptions valueText: formatted value of a node logged on a single line, used to highlight the changed words of a replacement;
+ * linePaths: collects the property path of every line, in the order of the lines
+ *
+ * @typedef {{
+ *   text: string
+ *   changed: boolean
+ * }} WordDiffSegment
+ *
+ * @typedef {"unified" | "side-by-side"} Layout
+ *
+ * @typedef {{
+ *   arrayKeys?: import('./arrays.mjs').ArrayKeys
+ *   setProperties?: string[]
+ * }} DiffOptions arrayKeys: properties identifying the items of arrays, defaults to `DefaultArrayKeys`;
+ * setProperties: paths of arrays compared as sets, defaults to `DefaultSetProperties`
  */
 
 /** @type {Record<DiffChange['action'], { icon: string; color: chalk.Chalk }>} */
@@ -100,6 +124,112 @@ function getValueType(value) {
   return "object";
 }
 
+/**
+ * Return whether a value is an intrinsic function call like `{ "Ref": "Bucket" }` or `{ "Fn::GetAtt": ["Bucket", "Arn"] }`
+ * @param {ValidJson} value
+ * @returns {boolean}
+ */
+function isIntrinsic(value) {
+  if (getValueType(value) !== "object") return false;
+  const entries = Object.entries(/** @type {JsonObject} */ (value));
+  if (entries.length !== 1) return false;
+  const [name, argument] = entries[0];
+  if (name === "Ref" || name === "Condition") return typeof argument === "string";
+  return name.startsWith("Fn::");
+}
+
+/**
+ * Format a value the way a YAML template would write it, using the short form of intrinsic functions
+ * @param {ValidJson} value
+ * @returns {string | undefined} undefined if the value holds an object that is not an intrinsic function
+ */
+function formatIntrinsic(value) {
+  const type = getValueType(value);
+  if (type === "primitive") return JSON.stringify(value ?? null);
+  if (type === "array") {
+    const items = /** @type {JsonArray} */ (value).map(formatIntrinsic);
+    if (items.some((item) => item === undefined)) return undefined;
+    return `[${items.join(", ")}]`;
+  }
+  if (!isIntrinsic(value)) return undefined;
+  const [name, argument] = Object.entries(/** @type {JsonObject} */ (value))[0];
+  const tag = `!${name.replace(/^Fn::/, "")}`;
+  if (typeof argument === "string" && (name === "Ref" || name === "Condition" || name === "Fn::GetAtt")) {
+    return `${tag} ${argument}`;
+  }
+  if (name === "Fn::GetAtt" && Array.isArray(argument) && argument.every((item) => typeof item === "string")) {
+    return `${tag} ${argument.join(".")}`;
+  }
+  const formattedArgument = formatIntrinsic(argument);
+  return formattedArgument === undefined ? undefined : `${tag} ${formattedArgument}`;
+}
+
+/** the intrinsic functions and conditions with a YAML short form, e.g. `!Ref Bucket` */
+const shortFormFunctions = [
+  "Ref",
+  "Condition",
+  "Base64",
+  "Cidr",
+  "FindInMap",
+  "GetAtt",
+  "GetAZs",
+  "ImportValue",
+  "Join",
+  "Length",
+  "Select",
+  "Split",
+  "Sub",
+  "ToJsonString",
+  "Transform",
+  "And",
+  "Equals",
+  "If",
+  "Not",
+  "Or",
+];
+
+/**
+ * @param {string} name
+ */
+function getFunctionKey(name) {
+  return name === "Ref" || name === "Condition" ? name : `Fn::${name}`;
+}
+
+/**
+ * YAML tags expanding the short form of intrinsic functions to their JSON form, e.g. `!Ref Bucket` to `{ Ref: Bucket }`
+ * @type {import('yaml').Tags}
+ */
+export const shortFormTags = shortFormFunctions.flatMap((name) => {
+  const key = getFunctionKey(name);
+  /** @type {import('yaml').ScalarTag} */
+  const scalarTag = {
+    tag: `!${name}`,
+    resolve: (value) => {
+      if (name !== "GetAtt") return { [key]: value };
+      // `!GetAtt Bucket.Arn` is the short form of `Fn::GetAtt: [Bucket, Arn]`
+      const dot = value.indexOf(".");
+      return { [key]: dot === -1 ? [value] : [value.slice(0, dot), value.slice(dot + 1)] };
+    },
+  };
+  /** @type {import('yaml').CollectionTag[]} */
+  const collectionTags = [
+    { tag: `!${name}`, collection: "seq", resolve: (seq) => ({ [key]: seq.toJSON() }) },
+    { tag: `!${name}`, collection: "map", resolve: (map) => ({ [key]: map.toJSON() }) },
+  ];
+  return [scalarTag, ...collectionTags];
+});
+
+/**
+ * Get the short form of an intrinsic function, if it is short enough to fit on one line
+ * @param {ValidJson} value
+ * @returns {string | undefined}
+ */
+function getIntrinsicText(value) {
+  if (!isIntrinsic(value)) return undefined;
+  const text = formatIntrinsic(value);
+  return text && text.length <= 200 ? text : undefined;
+}
+
 /**
  * Convert a JSON value to diff node
  * @param {ValidJson} value
@@ -130,7 +260,8 @@ function createNodeFromValue(value, actionOverride) {
       if (val === undefined) continue;
       properties[key] = { action: actionOverride ?? "Default", node: createNodeFromValue(val, actionOverride) };
     }
-    return { type: "object", properties };
+    const intrinsic = getIntrinsicText(value);
+    return intrinsic ? { type: "object", properties, intrinsic } : { type: "object", properties };
   }
 
   throw new Error("unrecognized object type");
@@ -173,12 +304,83 @@ function matchArrayElement(before, after) {
   return false;
 }
 
+/**
+ * Match the items of two arrays by their identity, e.g. the `Key` of `Tags`.
+ * The items are listed in their new order, so reordering them is not a change
+ * @param {JsonArray} beforeArray
+ * @param {JsonArray} afterArray
+ * @param {(item: ValidJson) => string | undefined} identify
+ * @param {DiffOptions} options
+ * @param {string} path
+ * @returns {Diff | undefined} undefined if an item has no identity, or two items have the same identity
+ */
+function buildKeyedArrayDiff(beforeArray, afterArray, identify, options, path) {
+  const beforeIds = beforeArray.map(identify);
+  const afterIds = afterArray.map(identify);
+  for (const ids of [beforeIds, afterIds]) {
+    if (ids.some((id) => id === undefined) || new Set(ids).size !== ids.length) return undefined;
+  }
+  const beforeIndexes = new Map(beforeIds.map((id, i) => [id, i]));
+  const afterIndexes = new Map(afterIds.map((id, i) => [id, i]));
+
+  // removed items are listed after the item they followed in the before array, removedItems[0] before every item
+  /** @type {Diff[][]} */
+  const removedItems = Array.from({ length: afterArray.length + 1 }, () => []);
+  let previousIndex = 0;
+  beforeArray.forEach((item, i) => {
+    const afterIndex = afterIndexes.get(beforeIds[i]);
+    if (afterIndex === undefined) {
+      removedItems[previousIndex].push({ action: "Remove", node: createNodeFromValue(item, "Remove") });
+    } else {
+      previousIndex = afterIndex + 1;
+    }
+  });
+
+  /** @type {Diff[]} */
+  const items = [...removedItems[0]];
+  afterArray.forEach((item, i) => {
+    const beforeIndex = beforeIndexes.get(afterIds[i]);
+    if (beforeIndex === undefined) {
+      items.push({ action: "Add", node: createNodeFromValue(item, "Add") });
+    } else {
+      items.push(buildDiff(beforeArray[beforeIndex], item, options, path));
+    }
+    items.push(...removedItems[i + 1]);
+  });
+  return { action: "Default", node: { type: "array", items } };
+}
+
 /**
  * @param {JsonArray} beforeArray
  * @param {JsonArray} afterArray
+ * @param {DiffOptions} options
+ * @param {string} path
  * @returns {Diff}
  */
-function buildArrayDiff(beforeArray, afterArray) {
+function buildArrayDiff(beforeArray, afterArray, options, path) {
+  if (isSetProperty(path, options.setProperties ?? DefaultSetProperties)) {
+    const setDiff = buildKeyedArrayDiff(beforeArray, afterArray, (item) => JSON.stringify(item), options, path);
+    if (setDiff && JSON.stringify(beforeArray) !== JSON.stringify(afterArray) && !hasChanges(setDiff)) {
+      setDiff.note = "order only";
+    }
+    if (setDiff) return setDiff;
+  }
+
+  const keys = getArrayKeys(path, options.arrayKeys ?? DefaultArrayKeys);
+  if (keys) {
+    /**
+     * @param {ValidJson} item
+     */
+    const identify = (item) => {
+      if (getValueType(item) !== "object") return undefined;
+      const object = /** @type {JsonObject} */ (item);
+      if (!keys.some((key) => key in object)) return undefined;
+      return JSON.stringify(keys.map((key) => object[key] ?? null));
+    };
+    const keyedDiff = buildKeyedArrayDiff(beforeArray, afterArray, identify, options, path);
+    if (keyedDiff) return keyedDiff;
+  }
+
   /** @type {Diff[]} */
   const items = [];
 
@@ -192,15 +394,9 @@ function buildArrayDiff(beforeArray, afterArray) {
     if (matchArrayElement(beforeItem, afterItem)) {
       if (JSON.stringify(beforeItem) === JSON.stringify(afterItem)) {
         items.push({ action: "Default", node: createNodeFromValue(afterItem) });
-      } else if (getValueType(beforeItem) === "object") {
-        const objectDiff = buildObjectDiff(
-          /** @type {JsonObject} */ (beforeItem),
-          /** @type {JsonObject} */ (afterItem),
-        );
-        items.push(objectDiff);
-      } else if (getValueType(beforeItem) === "array") {
-        const arrayDiff = buildArrayDiff(/** @type {JsonArray} */ (beforeItem), /** @type {JsonArray} */ (afterItem));
-        items.push(arrayDiff);
+      } else {
+        // only objects and arrays match without being equal
+        items.push(buildDiff(beforeItem, afterItem, options, path));
       }
 
       beforeIndex++;
@@ -226,11 +422,13 @@ function buildArrayDiff(beforeArray, afterArray) {
       continue;
     }
 
-    items.push({
-      action: "Replace",
-      beforeNode: createNodeFromValue(beforeItem, "Remove"),
-      afterNode: createNodeFromValue(afterItem, "Add"),
-    });
+    items.push(
+      buildIntrinsicDiff(beforeItem, afterItem) ?? {
+        action: "Replace",
+        beforeNode: createNodeFromValue(beforeItem, "Remove"),
+        afterNode: createNodeFromValue(afterItem, "Add"),
+      },
+    );
     beforeIndex++;
     afterIndex++;
   }
@@ -241,9 +439,11 @@ function buildArrayDiff(beforeArray, afterArray) {
 /**
  * @param {JsonObject} beforeObj
  * @param {JsonObject} afterObj
+ * @param {DiffOptions} options
+ * @param {string} path
  * @returns {Diff}
  */
-function buildObjectDiff(beforeObj, afterObj) {
+function buildObjectDiff(beforeObj, afterObj, options, path) {
   /** @type {Record<string, Diff>} */
   const properties = {};
   const allKeys = new Set([...Object.keys(beforeObj), ...Object.keys(afterObj)]);
@@ -257,7 +457,7 @@ function buildObjectDiff(beforeObj, afterObj) {
     } else if (!(key in afterObj)) {
       properties[key] = { action: "Remove", node: createNodeFromValue(beforeValue, "Remove") };
     } else {
-      properties[key] = buildDiff(beforeValue, afterValue);
+      properties[key] = buildDiff(beforeValue, afterValue, options, path ? `${path}.${key}` : key);
     }
   }
 
@@ -265,11 +465,109 @@ function buildObjectDiff(beforeObj, afterObj) {
 }
 
 /**
+ * Properties holding source code or scripts, which are never parsed as documents
+ */
+const CodeProperties = ["Code", "FunctionCode", "InlineCode", "Script", "UserData", "ZipFile"];
+
+/**
+ * Return whether a parsed YAML value looks like a document rather than text that happens to be valid YAML,
+ * e.g. `def handler(event, context):` in Python code parses as a mapping too
+ * @param {ValidJson} value
+ */
+function isYamlDocument(value) {
+  if (Array.isArray(value)) return true;
+  if (getValueType(value) !== "object") return false;
+  return Object.keys(/** @type {JsonObject} */ (value)).every((key) => /^[\w.:/@-]+$/.test(key));
+}
+
+/**
+ * Parse a string holding a JSON (or multi-line YAML) object or array, e.g. a Step Functions `DefinitionString`
+ * @param {string} value
+ * @returns {{ format: EmbeddedFormat; value: JsonObject | JsonArray } | undefined}
+ */
+function parseEmbeddedDocument(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (getValueType(parsed) !== "primitive") return { format: "json", value: parsed };
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+    }
+  }
+  // single line strings like "Note: something" would parse as YAML objects too
+  if (trimmed.includes("\n")) {
+    const document = YAML.parseDocument(trimmed, { customTags: shortFormTags, logLevel: "error" });
+    // unresolved tags like `!Custom` would be dropped from the values, so such documents are shown as strings
+    if (document.errors.length === 0 && document.warnings.length === 0) {
+      const parsed = document.toJS();
+      if (isYamlDocument(parsed)) return { format: "yaml", value: parsed };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Diff two strings holding JSON or YAML documents by their structure
  * @param {ValidJson} beforeValue
  * @param {ValidJson} afterValue
+ * @param {DiffOptions} options
+ * @param {string} path
+ * @returns {Diff | undefined} undefined if the values are not both documents of the same format and shape
+ */
+function buildEmbeddedDiff(beforeValue, afterValue, options, path) {
+  if (typeof beforeValue !== "string" || typeof afterValue !== "string" || beforeValue === afterValue) return undefined;
+  if (CodeProperties.includes(path.split(".").pop() ?? "")) return undefined;
+  const before = parseEmbeddedDocument(beforeValue);
+  const after = parseEmbeddedDocument(afterValue);
+  if (!before || !after || before.format !== after.format) return undefined;
+  if (getValueType(before.value) !== getValueType(after.value)) return undefined;
+  // a formatting only change would have nothing to show, so show the strings instead
+  if (JSON.stringify(before.value) === JSON.stringify(after.value)) return undefined;
+
+  const diff = buildDiff(before.value, after.value, options, path);
+  if (diff.action === "Replace" || diff.node.type === "primitive") return undefined;
+  diff.node.format = before.format;
+  return diff;
+}
+
+/**
+ * Replace intrinsic functions as a whole, rather than diffing their arguments
+ * @param {ValidJson} beforeValue
+ * @param {ValidJson} afterValue
+ * @returns {Diff | undefined} undefined if neither value is an intrinsic function, or both are too long to show in short form
+ */
+function buildIntrinsicDiff(beforeValue, afterValue) {
+  const beforeIsIntrinsic = isIntrinsic(beforeValue);
+  const afterIsIntrinsic = isIntrinsic(afterValue);
+  if (!beforeIsIntrinsic && !afterIsIntrinsic) return undefined;
+  if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) {
+    return { action: "Default", node: createNodeFromValue(afterValue) };
+  }
+  if (beforeIsIntrinsic && afterIsIntrinsic) {
+    if (!getIntrinsicText(beforeValue) || !getIntrinsicText(afterValue)) return undefined;
+    return {
+      action: "Replace",
+      beforeNode: createNodeFromValue(beforeValue, "Remove"),
+      afterNode: createNodeFromValue(afterValue, "Add"),
+    };
+  }
+  return {
+    action: "Replace",
+    beforeNode: createNodeFromValue(beforeValue, "Remove"),
+    afterNode: createNodeFromValue(afterValue, "Add"),
+    note: "value depends on deploy-time resolution",
+  };
+}
+
+/**
+ * @param {ValidJson} beforeValue
+ * @param {ValidJson} afterValue
+ * @param {DiffOptions} [options]
+ * @param {string} [path] property path of the values, e.g. `Bucket.Properties.Tags`
  * @returns {Diff}
  */
-export function buildDiff(beforeValue, afterValue) {
+export function buildDiff(beforeValue, afterValue, options = {}, path = "") {
   // Handle null/undefined cases
   if (beforeValue == null && afterValue == null) {
     return { action: "Default", node: { type: "primitive", value: null } };
@@ -283,6 +581,9 @@ export function buildDiff(beforeValue, afterValue) {
     return { action: "Remove", node: createNodeFromValue(beforeValue, "Remove") };
   }
 
+  const intrinsicDiff = buildIntrinsicDiff(beforeValue, afterValue);
+  if (intrinsicDiff) return intrinsicDiff;
+
   const beforeType = getValueType(beforeValue);
   const afterType = getValueType(afterValue);
 
@@ -295,6 +596,8 @@ export function buildDiff(beforeValue, afterValue) {
   }
 
   if (beforeType === "primitive") {
+    const embeddedDiff = buildEmbeddedDiff(beforeValue, afterValue, options, path);
+    if (embeddedDiff) return embeddedDiff;
     if (beforeValue === afterValue) {
       return {
         action: "Default",
@@ -313,23 +616,113 @@ export function buildDiff(beforeValue, afterValue) {
   }
 
   if (beforeType === "array") {
-    return buildArrayDiff(/** @type {JsonArray} */ (beforeValue), /** @type {JsonArray} */ (afterValue));
+    return buildArrayDiff(/** @type {JsonArray} */ (beforeValue), /** @type {JsonArray} */ (afterValue), options, path);
   }
 
   if (beforeType === "object") {
-    return buildObjectDiff(/** @type {JsonObject} */ (beforeValue), /** @type {JsonObject} */ (afterValue));
+    return buildObjectDiff(
+      /** @type {JsonObject} */ (beforeValue),
+      /** @type {JsonObject} */ (afterValue),
+      options,
+      path,
+    );
   }
 
   throw new Error("unhandled type");
 }
 
+/**
+ * Compare two strings word by word (runs of letters and digits, or single other characters),
+ * using the longest common subsequence of their words
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ before: WordDiffSegment[]; after: WordDiffSegment[] } | undefined} undefined if the strings are too long to compare
+ */
+export function getWordDiff(before, after) {
+  const beforeWords = before.match(/[A-Za-z0-9]+|[^A-Za-z0-9]/g) ?? [];
+  const afterWords = after.match(/[A-Za-z0-9]+|[^A-Za-z0-9]/g) ?? [];
+  if (beforeWords.length * afterWords.length > 1_000_000) return undefined;
+
+  // lengths[i][j] is the length of the longest common subsequence of beforeWords[i..] and afterWords[j..]
+  const lengths = Array.from({ length: beforeWords.length + 1 }, () => new Uint32Array(afterWords.length + 1));
+  for (let i = beforeWords.length - 1; i >= 0; i--) {
+    for (let j = afterWords.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        beforeWords[i] === afterWords[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  /** @type {WordDiffSegment[]} */
+  const beforeSegments = [];
+  /** @type {WordDiffSegment[]} */
+  const afterSegments = [];
+  /**
+   * @param {WordDiffSegment[]} segments
+   * @param {string} text
+   * @param {boolean} changed
+   */
+  const push = (segments, text, changed) => {
+    const last = segments[segments.length - 1];
+    if (last && last.changed === changed) {
+      last.text += text;
+    } else {
+      segments.push({ text, changed });
+    }
+  };
+  let i = 0;
+  let j = 0;
+  while (i < beforeWords.length || j < afterWords.length) {
+    if (i < beforeWords.length && j < afterWords.length && beforeWords[i] === afterWords[j]) {
+      push(beforeSegments, beforeWords[i++], false);
+      push(afterSegments, afterWords[j++], false);
+    } else if (j >= afterWords.length || (i < beforeWords.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push(beforeSegments, beforeWords[i++], true);
+    } else {
+      push(afterSegments, afterWords[j++], true);
+    }
+  }
+  return { before: beforeSegments, after: afterSegments };
+}
+
+/**
+ * Highlight the changed words of a replaced value.
+ * Nothing is highlighted when the values have nothing in common, as the whole value changed
+ * @param {string} before
+ * @param {string} after
+ * @returns {[string | undefined, string | undefined]}
+ */
+function highlightWordDiff(before, after) {
+  const wordDiff = getWordDiff(before, after);
+  if (!wordDiff) return [undefined, undefined];
+  if (!wordDiff.before.some((segment) => !segment.changed && segment.text.trim().replace(/"/g, ""))) {
+    return [undefined, undefined];
+  }
+  /**
+   * @param {WordDiffSegment[]} segments
+   */
+  const highlight = (segments) =>
+    segments.map((segment) => (segment.changed ? chalk.inverse(segment.text) : segment.text)).join("");
+  return [highlight(wordDiff.before), highlight(wordDiff.after)];
+}
+
+/**
+ * Get the text of a node logged on a single line: a primitive value, or an intrinsic function in short form
+ * @param {DiffNode} node
+ * @returns {string | undefined}
+ */
+function getNodeText(node) {
+  if (node.type === "primitive") return JSON.stringify(node.value);
+  if (node.type === "object") return node.intrinsic;
+  return undefined;
+}
+
 /**
  * Checks if a diff contains any changes (is not purely "Default")
  * @param {Diff} diff
  * @returns {boolean}
  */
 function hasChanges(diff) {
-  if (diff.action !== "Default") return true;
+  if (diff.action !== "Default" || diff.note) return true;
 
   // Check if any descendants have changes
   if (diff.node.type === "object") {
@@ -343,6 +736,32 @@ function hasChanges(diff) {
   return false;
 }
 
+/**
+ * Get the value on one side of a diff, embedded documents are returned parsed
+ * @param {Diff} diff
+ * @param {"before" | "after"} side
+ * @returns {ValidJson}
+ */
+export function getDiffValue(diff, side) {
+  /** @type {DiffNode} */
+  let node;
+  if (diff.action === "Replace") node = side === "before" ? diff.beforeNode : diff.afterNode;
+  else if (diff.action === (side === "before" ? "Add" : "Remove")) return undefined;
+  else node = diff.node;
+
+  if (node.type === "primitive") return node.value;
+  if (node.type === "array") {
+    return node.items.map((item) => getDiffValue(item, side)).filter((value) => value !== undefined);
+  }
+  /** @type {JsonObject} */
+  const value = {};
+  for (const [key, property] of Object.entries(node.properties)) {
+    const propertyValue = getDiffValue(property, side);
+    if (propertyValue !== undefined) value[key] = propertyValue;
+  }
+  return value;
+}
+
 /**
  * @param {Diff} diff
  * @param {LogOptions} options
@@ -360,10 +779,19 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
   if (diff.action === "Replace") {
     let replacementArrayPrefix = arrayPrefix;
     let replacementIndent = options.indent;
+    /** @type {string | undefined} */
+    let beforeText;
+    /** @type {string | undefined} */
+    let afterText;
+    const beforeNodeText = getNodeText(diff.beforeNode);
+    const afterNodeText = getNodeText(diff.afterNode);
+    if (options.showColor && beforeNodeText !== undefined && afterNodeText !== undefined) {
+      [beforeText, afterText] = highlightWordDiff(beforeNodeText, afterNodeText);
+    }
     strings = strings.concat(
       getDiffLines(
         { action: "Remove", node: diff.beforeNode },
-        { ...options, indent: replacementIndent },
+        { ...options, indent: replacementIndent, valueText: beforeText },
         changeNotes,
         key,
         replacementArrayPrefix,
@@ -385,8 +813,10 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
     strings = strings.concat(
       getDiffLines(
         { action: "Add", node: diff.afterNode },
-        { ...options, indent: replacementIndent },
-        changeNotes,
+        { ...options, indent: replacementIndent, valueText: afterText },
+        diff.note
+          ? { ...changeNotes, [currentPath]: [changeNotes[currentPath], diff.note].filter(Boolean).join(", ") }
+          : changeNotes,
         key,
         replacementArrayPrefix,
         currentPath,
@@ -396,12 +826,19 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
   }
 
   const indentSpaces = " ".repeat(options.indent);
-  const note = currentPath in changeNotes ? ` # ${changeNotes[currentPath]}` : "";
+  /** @type {string[]} */
+  const notes = [];
+  if (currentPath in changeNotes) notes.push(changeNotes[currentPath]);
+  if (diff.note) notes.push(diff.note);
+  if (diff.node.type !== "primitive" && diff.node.format) notes.push(`embedded ${diff.node.format.toUpperCase()}`);
+  const note = notes.length > 0 ? ` # ${notes.join(", ")}` : "";
 
-  if (diff.node.type === "primitive") {
+  const nodeText = getNodeText(diff.node);
+  if (nodeText !== undefined) {
+    options.linePaths?.push(currentPath);
     strings = strings.concat(
       Logger.formatDiffString(
-        `${indentSpaces}${arrayPrefix}${key ? `${key}: ` : ""}${JSON.stringify(diff.node.value)}${note}`,
+        `${indentSpaces}${arrayPrefix}${key ? `${key}: ` : ""}${options.valueText ?? nodeText}${note}`,
         diff.action,
         options,
       ),
@@ -412,6 +849,7 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
   if (diff.node.type === "object") {
     const entries = Object.entries(diff.node.properties);
     if (entries.length === 0) {
+      options.linePaths?.push(currentPath);
       strings.push(
         Logger.formatDiffString(`${indentSpaces}${arrayPrefix}${key ? `${key}: ` : ""}{}${note}`, diff.action, options),
       );
@@ -420,6 +858,7 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
     let parentArrayPrefix = arrayPrefix;
     let propertyIndent = options.indent;
     if (key) {
+      options.linePaths?.push(currentPath);
       strings.push(Logger.formatDiffString(`${indentSpaces}${arrayPrefix}${key}:${note}`, diff.action, options));
       // indent for properties in object
       propertyIndent += 2;
@@ -449,6 +888,7 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
 
   if (diff.node.type === "array") {
     if (diff.node.items.length === 0) {
+      options.linePaths?.push(currentPath);
       strings.push(
         Logger.formatDiffString(`${indentSpaces}${arrayPrefix}${key ? `${key}: ` : ""}[]${note}`, diff.action, options),
       );
@@ -457,6 +897,7 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
     let parentArrayPrefix = arrayPrefix;
     let itemIndent = options.indent;
     if (key) {
+      options.linePaths?.push(currentPath);
       strings.push(Logger.formatDiffString(`${indentSpaces}${arrayPrefix}${key}:${note}`, diff.action, options));
       // indent for properties in object
       itemIndent += 2;
@@ -488,6 +929,102 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
   return strings;
 }
 
+/**
+ * split a line into chunks of at most `width` characters
+ * @param {string} line
+ * @param {number} width
+ * @returns {string[]}
+ */
+function wrapLine(line, width) {
+  if (line.length <= width) return [line];
+  /** @type {string[]} */
+  const chunks = [];
+  for (let i = 0; i < line.length; i += width) {
+    chunks.push(line.slice(i, i + width));
+  }
+  return chunks;
+}
+
+/**
+ * Render a diff in two columns, the before value on the left and the after value on the right.
+ * Removed and added lines are paired up by their property path, so a replaced property lines up with its new value,
+ * unrelated removed and added properties get rows of their own, unchanged lines are shown in both columns
+ * @param {Diff} diff
+ * @param {LogOptions & { width?: number }} options `width` is the total width of both columns
+ * @param {Record<string, string>} changeNotes key: path ('Resource.Properties.BucketName`), value: note to add at that path
+ * @returns {Array<string>} lines to log
+ */
+export function getSideBySideLines(diff, options, changeNotes = {}) {
+  /** @type {string[]} */
+  const linePaths = [];
+  const lines = getDiffLines(diff, { ...options, showColor: false, linePaths }, changeNotes);
+  const separator = " │ ";
+  const columnWidth = Math.max(20, Math.floor(((options.width ?? 160) - separator.length) / 2));
+
+  /** @type {Array<{ left?: string; right?: string; changed: boolean }>} */
+  const rows = [];
+  /** @type {number[]} indexes of the changed lines since the last unchanged line */
+  let changed = [];
+  const flush = () => {
+    // a removed line is paired with the added line of the same property, e.g. both sides of a replaced value
+    /** @type {Map<number, number>} */
+    const pairs = new Map();
+    const paired = new Set();
+    for (const removedIndex of changed.filter((i) => lines[i].startsWith("-"))) {
+      const addedIndex = changed.find(
+        (i) => !lines[i].startsWith("-") && !paired.has(i) && linePaths[i] === linePaths[removedIndex],
+      );
+      if (addedIndex === undefined) continue;
+      pairs.set(removedIndex, addedIndex);
+      paired.add(addedIndex);
+    }
+    for (const i of changed) {
+      if (lines[i].startsWith("-")) {
+        const addedIndex = pairs.get(i);
+        rows.push({ left: lines[i], right: addedIndex === undefined ? undefined : lines[addedIndex], changed: true });
+      } else if (!paired.has(i)) {
+        // added lines, or any line with an icon override
+        rows.push({ right: lines[i], changed: true });
+      }
+    }
+    changed = [];
+  };
+  lines.forEach((line, i) => {
+    if (line.startsWith(" ")) {
+      flush();
+      rows.push({ left: line, right: line, changed: false });
+    } else {
+      changed.push(i);
+    }
+  });
+  flush();
+
+  /**
+   * @param {string} text
+   * @param {DiffChange['action']} action
+   */
+  const colorize = (text, action) => {
+    if (!options.showColor) return text;
+    const color = action === "Add" ? (options.colorOverride ?? actionMap.Add.color) : actionMap[action].color;
+    return text.includes("WARNING") ? chalk.bold(color(text)) : color(text);
+  };
+
+  /** @type {string[]} */
+  const strings = [];
+  for (const row of rows) {
+    const leftChunks = row.left === undefined ? [] : wrapLine(row.left, columnWidth);
+    const rightChunks = row.right === undefined ? [] : wrapLine(row.right, columnWidth);
+    for (let i = 0; i < Math.max(leftChunks.length, rightChunks.length); i++) {
+      const left = (leftChunks[i] ?? "").padEnd(columnWidth);
+      const right = rightChunks[i] ?? "";
+      const leftAction = row.changed ? "Remove" : "Default";
+      const rightAction = row.changed ? "Add" : "Default";
+      strings.push(`${colorize(left, leftAction)}${separator}${colorize(right, rightAction)}`.trimEnd());
+    }
+  }
+  return strings;
+}
+
 /**
  * @param {ValidJson} before the object before the change
  * @param {ValidJson} after the object after the change
@@ -496,19 +1033,23 @@ export function getDiffLines(diff, options, changeNotes = {}, key = "", arrayPre
  * @param {boolean} [options.showUnchangedProperties]
  * @param {chalk.Chalk} [options.colorOverride]
  * @param {string} [options.iconOverride]
+ * @param {Layout} [options.layout] defaults to `unified`
+ * @param {number} [options.width] the total width of the `side-by-side` layout
+ * @param {import('./arrays.mjs').ArrayKeys} [options.arrayKeys] properties identifying the items of arrays
+ * @param {string[]} [options.setProperties] paths of arrays compared as sets
  * @param {Record<string, string>} changeNotes key: path ('Resource.Properties.BucketName`), value: note to add at that path
  */
 export function getObjectDiff(before, after, options = {}, changeNotes = {}) {
-  const diff = buildDiff(before, after);
-  return getDiffLines(
-    diff,
-    {
-      indent: 0,
-      showColor: options.showColor ?? true,
-      showUnchangedProperties: options.showUnchangedProperties ?? false,
-      iconOverride: options.iconOverride,
-      colorOverride: options.colorOverride,
-    },
-    changeNotes,
-  );
+  const diff = buildDiff(before, after, { arrayKeys: options.arrayKeys, setProperties: options.setProperties });
+  const logOptions = {
+    indent: 0,
+    showColor: options.showColor ?? true,
+    showUnchangedProperties: options.showUnchangedProperties ?? false,
+    iconOverride: options.iconOverride,
+    colorOverride: options.colorOverride,
+  };
+  if (options.layout === "side-by-side") {
+    return getSideBySideLines(diff, { ...logOptions, width: options.width }, changeNotes);
+  }
+  return getDiffLines(diff, logOptions, changeNotes);
 }
@@ -1,6 +1,6 @@
 import { strict as assert } from "node:assert";
 import { describe, it } from "node:test";
-import { getObjectDiff } from "./diff.mjs";
+import { buildDiff, getDiffValue, getObjectDiff, getWordDiff } from "./diff.mjs";
 
 /**
  * @param {string} s
@@ -873,4 +873,378 @@ describe("lib/diff.test.mjs", () => {
     `);
     assert.equal(actual, expected, errorString(actual, expected));
   });
+
+  it("side by side", () => {
+    const before = { hello: "world", goodbye: "moon", list: ["a"] };
+    const after = { hello: "moon", goodbye: "moon", list: ["a", "b"] };
+    const actual = getObjectDiff(before, after, { ...getObjectDiffOptions, layout: "side-by-side", width: 43 });
+    const expected = [
+      '- hello: "world"     │ + hello: "moon"',
+      '  goodbye: "moon"    │   goodbye: "moon"',
+      "  list:              │   list:",
+      '    - "a"            │     - "a"',
+      '                     │ +   - "b"',
+    ];
+    assert.deepEqual(actual, expected, errorString(actual.join("\n"), expected.join("\n")));
+  });
+
+  it("side by side aligns rows by property path", () => {
+    const before = { R: { A: 1, C: { x: 1, y: 2, z: 3 } } };
+    const after = { R: { B: 2, C: { x: 9 }, D: [1, 2] } };
+    const actual = getObjectDiff(before, after, { showColor: false, layout: "side-by-side", width: 43 });
+    const expected = [
+      "  R:                 │   R:",
+      "-   A: 1             │",
+      "    C:               │     C:",
+      "-     x: 1           │ +     x: 9",
+      "-     y: 2           │",
+      "-     z: 3           │",
+      "                     │ +   B: 2",
+      "                     │ +   D:",
+      "                     │ +     - 1",
+      "                     │ +     - 2",
+    ];
+    assert.deepEqual(actual, expected, errorString(actual.join("\n"), expected.join("\n")));
+  });
+
+  it("side by side wraps long lines", () => {
+    const actual = getObjectDiff("0123456789012345678901234", "abc", {
+      ...getObjectDiffOptions,
+      layout: "side-by-side",
+      width: 43,
+    });
+    const expected = ['- "01234567890123456 │ + "abc"', '78901234"            │'];
+    assert.deepEqual(actual, expected, errorString(actual.join("\n"), expected.join("\n")));
+  });
+
+  it("word diff of a changed hash", () => {
+    const actual = getWordDiff(
+      '"https://s3.amazonaws.com/mybucket/408996fc.template"',
+      '"https://s3.amazonaws.com/mybucket/586265ab.template"',
+    );
+    assert.deepEqual(actual, {
+      before: [
+        { text: '"https://s3.amazonaws.com/mybucket/', changed: false },
+        { text: "408996fc", changed: true },
+        { text: '.template"', changed: false },
+      ],
+      after: [
+        { text: '"https://s3.amazonaws.com/mybucket/', changed: false },
+        { text: "586265ab", changed: true },
+        { text: '.template"', changed: false },
+      ],
+    });
+  });
+
+  it("word diff of added and removed words", () => {
+    const actual = getWordDiff("repo:1.2.3-alpine", "repo:1.3.0");
+    assert.deepEqual(actual, {
+      before: [
+        { text: "repo:1.", changed: false },
+        { text: "2.", changed: true },
+        { text: "3", changed: false },
+        { text: "-alpine", changed: true },
+      ],
+      after: [
+        { text: "repo:1.3", changed: false },
+        { text: ".0", changed: true },
+      ],
+    });
+  });
+
+  it("embedded JSON string", () => {
+    const before = { DefinitionString: JSON.stringify({ StartAt: "A", States: { A: { Type: "Pass", End: true } } }) };
+    const after = { DefinitionString: JSON.stringify({ StartAt: "A", States: { A: { Type: "Task", End: true } } }) };
+    const actual = getObjectDiff(before, after, { showColor: false }).join("\n");
+    const expected = dedent(`
+        DefinitionString: # embedded JSON
+          States:
+            A:
+      -       Type: "Pass"
+      +       Type: "Task"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("embedded YAML string", () => {
+    const before = { EventPattern: "source:\n  - aws.ec2\n" };
+    const after = { EventPattern: "source:\n  - aws.ec2\n  - aws.s3\n" };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+        EventPattern: # embedded YAML
+          source:
+            - "aws.ec2"
+      +     - "aws.s3"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("embedded JSON string reformatted", () => {
+    const before = { Policy: '{"a": 1}' };
+    const after = { Policy: '{ "a": 1 }' };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+      - Policy: "{\\"a\\": 1}"
+      + Policy: "{ \\"a\\": 1 }"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("single line strings are not parsed as YAML", () => {
+    const actual = getObjectDiff({ Description: "Note: foo" }, { Description: "Note: bar" }, getObjectDiffOptions).join(
+      "\n",
+    );
+    const expected = dedent(`
+      - Description: "Note: foo"
+      + Description: "Note: bar"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("code strings are not parsed as YAML", () => {
+    const before = {
+      Code: { ZipFile: "exports:\n  handler: 1\n" },
+      Description: "def handler(event, context):\n  return 1\n",
+    };
+    const after = {
+      Code: { ZipFile: "exports:\n  handler: 2\n" },
+      Description: "def handler(event, context):\n  return 2\n",
+    };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+        Code:
+      -   ZipFile: "exports:\\n  handler: 1\\n"
+      +   ZipFile: "exports:\\n  handler: 2\\n"
+      - Description: "def handler(event, context):\\n  return 1\\n"
+      + Description: "def handler(event, context):\\n  return 2\\n"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("embedded YAML with short form intrinsic functions", async () => {
+    /** @type {Error[]} */
+    const warnings = [];
+    const onWarning = (/** @type {Error} */ warning) => warnings.push(warning);
+    process.on("warning", onWarning);
+    const actual = getObjectDiff(
+      { Template: "a: !Ref X\nb: 1", Other: "a: !Custom X\nb: 1" },
+      { Template: "a: !Ref Y\nb: 1", Other: "a: !Custom Y\nb: 1" },
+      { showColor: false },
+    ).join("\n");
+    // warnings are emitted on the next tick
+    await new Promise((resolve) => setImmediate(resolve));
+    process.off("warning", onWarning);
+    const expected = dedent(`
+        Template: # embedded YAML
+      -   a: !Ref X
+      +   a: !Ref Y
+      - Other: "a: !Custom X\\nb: 1"
+      + Other: "a: !Custom Y\\nb: 1"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+    assert.deepEqual(warnings, []);
+  });
+
+  it("intrinsic functions in short form", () => {
+    const before = {
+      Role: { "Fn::GetAtt": ["OldRole", "Arn"] },
+      Topic: { Ref: "Topic" },
+      Name: { "Fn::Join": ["-", [{ Ref: "AWS::StackName" }, "old"]] },
+    };
+    const after = {
+      Role: { "Fn::GetAtt": ["NewRole", "Arn"] },
+      Topic: { Ref: "Topic" },
+      Name: { "Fn::Join": ["-", [{ Ref: "AWS::StackName" }, "new"]] },
+    };
+    const actual = getObjectDiff(before, after, { showColor: false, showUnchangedProperties: true }).join("\n");
+    const expected = dedent(`
+      - Role: !GetAtt OldRole.Arn
+      + Role: !GetAtt NewRole.Arn
+        Topic: !Ref Topic
+      - Name: !Join ["-", [!Ref AWS::StackName, "old"]]
+      + Name: !Join ["-", [!Ref AWS::StackName, "new"]]
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("intrinsic function replacing a literal", () => {
+    const before = {
+      TopicArn: "arn:aws:sns:us-east-1:123456789012:topic",
+      Layers: [{ "Fn::ImportValue": "SharedLayer" }],
+    };
+    const after = {
+      TopicArn: { "Fn::GetAtt": "Topic.TopicArn" },
+      Layers: ["arn:aws:lambda:us-east-1:123456789012:layer:shared:1"],
+    };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+      - TopicArn: "arn:aws:sns:us-east-1:123456789012:topic"
+      + TopicArn: !GetAtt Topic.TopicArn # value depends on deploy-time resolution
+        Layers:
+      -   - !ImportValue "SharedLayer"
+      +   - "arn:aws:lambda:us-east-1:123456789012:layer:shared:1" # value depends on deploy-time resolution
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("long intrinsic functions are diffed by their arguments", () => {
+    const statement = (/** @type {string} */ action) => ({ Effect: "Allow", Action: action, Resource: "*" });
+    const before = {
+      Policy: { "Fn::If": ["IsProd", { Statement: [statement("s3:GetObject")] }, { Ref: "AWS::NoValue" }] },
+    };
+    const after = {
+      Policy: { "Fn::If": ["IsProd", { Statement: [statement("s3:PutObject")] }, { Ref: "AWS::NoValue" }] },
+    };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+        Policy:
+          Fn::If:
+            - "IsProd"
+            - Statement:
+                - Effect: "Allow"
+      -           Action: "s3:GetObject"
+      +           Action: "s3:PutObject"
+                  Resource: "*"
+            - !Ref AWS::NoValue
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+  it("tags are matched by key", () => {
+    const before = {
+      Tags: [
+        { Key: "Team", Value: "a" },
+        { Key: "ToRemove", Value: "b" },
+        { Key: "Env", Value: "dev" },
+      ],
+    };
+    const after = {
+      Tags: [
+        { Key: "Env", Value: "prod" },
+        { Key: "Team", Value: "a" },
+        { Key: "ToAdd", Value: "b" },
+      ],
+    };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+        Tags:
+          - Key: "Env"
+      -     Value: "dev"
+      +     Value: "prod"
+          - Key: "Team"
+            Value: "a"
+      -   - Key: "ToRemove"
+      -     Value: "b"
+      +   - Key: "ToAdd"
+      +     Value: "b"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("reordering matched arrays is not a change", () => {
+    const statement = (/** @type {string} */ sid) => ({ Sid: sid, Effect: "Allow", Action: "s3:GetObject" });
+    const before = { PolicyDocument: { Statement: [statement("A"), statement("B")] } };
+    const after = { PolicyDocument: { Statement: [statement("B"), statement("A")] } };
+    assert.deepEqual(getObjectDiff(before, after, { showColor: false }), []);
+  });
+
+  it("arrays are matched by user defined keys", () => {
+    const before = {
+      Listeners: [
+        { Port: 80, Protocol: "HTTP" },
+        { Port: 443, Protocol: "HTTPS" },
+      ],
+    };
+    const after = {
+      Listeners: [
+        { Port: 443, Protocol: "HTTPS" },
+        { Port: 8080, Protocol: "HTTP" },
+      ],
+    };
+    const actual = getObjectDiff(before, after, { showColor: false, arrayKeys: { Listeners: ["Port"] } }).join("\n");
+    const expected = dedent(`
+        Listeners:
+      -   - Port: 80
+      -     Protocol: "HTTP"
+      +   - Port: 8080
+      +     Protocol: "HTTP"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("arrays with duplicate keys are matched by position", () => {
+    const before = {
+      Tags: [
+        { Key: "A", Value: "1" },
+        { Key: "A", Value: "2" },
+      ],
+    };
+    const after = {
+      Tags: [
+        { Key: "A", Value: "2" },
+        { Key: "A", Value: "1" },
+      ],
+    };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+        Tags:
+          - Key: "A"
+      -     Value: "1"
+      +     Value: "2"
+          - Key: "A"
+      -     Value: "2"
+      +     Value: "1"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+  it("set properties reordered", () => {
+    const before = { VpcConfig: { SubnetIds: ["subnet-a", "subnet-b"], SecurityGroupIds: ["sg-a"] } };
+    const after = { VpcConfig: { SubnetIds: ["subnet-b", "subnet-a"], SecurityGroupIds: ["sg-a"] } };
+    const actual = getObjectDiff(before, after, { showColor: false }).join("\n");
+    const expected = dedent(`
+        VpcConfig:
+          SubnetIds: # order only
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("set properties changed", () => {
+    const before = { ManagedPolicyArns: ["arn:a", "arn:b", "arn:c"] };
+    const after = { ManagedPolicyArns: ["arn:c", "arn:d", "arn:a"] };
+    const actual = getObjectDiff(before, after, getObjectDiffOptions).join("\n");
+    const expected = dedent(`
+        ManagedPolicyArns:
+          - "arn:c"
+      +   - "arn:d"
+          - "arn:a"
+      -   - "arn:b"
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+  });
+
+  it("user defined set properties", () => {
+    const before = { Principal: { AWS: ["arn:a", "arn:b"] } };
+    const after = { Principal: { AWS: ["arn:b", "arn:a"] } };
+    const actual = getObjectDiff(before, after, { showColor: false, setProperties: ["Principal.AWS"] }).join("\n");
+    const expected = dedent(`
+        Principal:
+          AWS: # order only
+    `);
+    assert.equal(actual, expected, errorString(actual, expected));
+    assert.notEqual(getObjectDiff(before, after, { showColor: false }).join("\n"), expected);
+  });
+
+  it("get the values on both sides of a diff", () => {
+    const before = { Name: "a", Tags: [{ Key: "Env", Value: "dev" }], Ref: { Ref: "Old" } };
+    const after = {
+      Name: "b",
+      Tags: [
+        { Key: "Env", Value: "prod" },
+        { Key: "Team", Value: "x" },
+      ],
+      Size: 1,
+    };
+    const diff = buildDiff(before, after);
+    assert.deepEqual(getDiffValue(diff, "before"), before);
+    assert.deepEqual(getDiffValue(diff, "after"), after);
+  });
 });
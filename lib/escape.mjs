@@ -0,0 +1,12 @@
+/**
+ * Escape a value for HTML text and attribute values
+ * @param {string} value
+ */
+export function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,83 @@
+import { ChangeAction } from "@aws-sdk/client-cloudformation";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ *
+ * @typedef {{
+ *   includeTypes?: string[]
+ *   excludeTypes?: string[]
+ *   resources?: string[]
+ *   actions?: string[]
+ * }} FilterOptions
+ *
+ * @typedef {(entry: ChangeEntry) => boolean} ChangeFilter
+ */
+
+/**
+ * Convert a glob to a regular expression.
+ * `*` matches within a single `/` separated segment, `**` matches across segments and `?` matches a single character
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * split comma separated values, e.g. `--action Remove,Modify`
+ * @param {string[]} values
+ */
+function splitValues(values) {
+  return values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter((value) => value);
+}
+
+/**
+ * Create a filter for resource changes.
+ * Resources are kept when their type matches any `includeTypes` (if given) and no `excludeTypes`,
+ * their nested logical id (`NestedStack/Resource`) matches any `resources` (if given),
+ * and their action is one of `actions` (if given).
+ * @param {FilterOptions} options
+ * @returns {ChangeFilter | undefined} undefined when no filters are given
+ */
+export function createChangeFilter(options) {
+  const includeTypes = splitValues(options.includeTypes ?? []).map(globToRegExp);
+  const excludeTypes = splitValues(options.excludeTypes ?? []).map(globToRegExp);
+  const resources = splitValues(options.resources ?? []).map(globToRegExp);
+  const actions = splitValues(options.actions ?? []);
+
+  for (const action of actions) {
+    if (!Object.values(ChangeAction).includes(/** @type {ChangeAction} */ (action))) {
+      throw new Error(`Unknown action "${action}", expected one of ${Object.values(ChangeAction).join(", ")}`);
+    }
+  }
+
+  if (includeTypes.length + excludeTypes.length + resources.length + actions.length === 0) {
+    return undefined;
+  }
+
+  return (entry) => {
+    const resourceType = entry.resourceType ?? "";
+    if (includeTypes.length > 0 && !includeTypes.some((pattern) => pattern.test(resourceType))) return false;
+    if (excludeTypes.some((pattern) => pattern.test(resourceType))) return false;
+    if (resources.length > 0 && !resources.some((pattern) => pattern.test(entry.logicalResourceId))) return false;
+    if (actions.length > 0 && !actions.includes(entry.action ?? "")) return false;
+    return true;
+  };
+}
@@ -0,0 +1,91 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { CloudFormation } from "@aws-sdk/client-cloudformation";
+import { describeChangeSetTree, getChangeEntry, getChangeSetResult } from "./changeset.mjs";
+import { createChangeFilter, globToRegExp } from "./filter.mjs";
+import { getFailures, parseFailOnRules } from "./gate.mjs";
+
+describe("lib/filter.test.mjs", () => {
+  const changes = [
+    getChangeEntry({ LogicalResourceId: "Role", ResourceType: "AWS::IAM::Role", Action: "Modify" }),
+    getChangeEntry({ LogicalResourceId: "Api", ResourceType: "AWS::CloudFormation::Stack", Action: "Modify" }),
+    getChangeEntry(
+      { LogicalResourceId: "Handler", ResourceType: "AWS::Lambda::Function", Action: "Modify" },
+      {},
+      "Api/",
+    ),
+    getChangeEntry(
+      { LogicalResourceId: "HandlerVersion1", ResourceType: "AWS::Lambda::Version", Action: "Remove" },
+      {},
+      "Api/",
+    ),
+    getChangeEntry({ LogicalResourceId: "Policy", ResourceType: "AWS::IAM::Policy", Action: "Add" }, {}, "Api/Auth/"),
+  ];
+
+  /**
+   * @param {import('./filter.mjs').FilterOptions} options
+   */
+  function filtered(options) {
+    const filter = createChangeFilter(options);
+    assert.ok(filter);
+    return changes.filter(filter).map((entry) => entry.logicalResourceId);
+  }
+
+  it("glob", () => {
+    assert.ok(globToRegExp("AWS::IAM::*").test("AWS::IAM::Role"));
+    assert.ok(!globToRegExp("AWS::IAM::*").test("AWS::S3::Bucket"));
+    assert.ok(globToRegExp("Api/*").test("Api/Handler"));
+    assert.ok(!globToRegExp("Api/*").test("Api/Auth/Policy"));
+    assert.ok(globToRegExp("Api/**").test("Api/Auth/Policy"));
+    assert.ok(globToRegExp("Handler?").test("Handler1"));
+    assert.ok(!globToRegExp("Api.Handler").test("ApiXHandler"));
+  });
+
+  it("no filters", () => {
+    assert.equal(createChangeFilter({}), undefined);
+    assert.equal(createChangeFilter({ includeTypes: [], actions: [] }), undefined);
+  });
+
+  it("include type", () => {
+    assert.deepEqual(filtered({ includeTypes: ["AWS::IAM::*"] }), ["Role", "Api/Auth/Policy"]);
+  });
+
+  it("exclude type", () => {
+    assert.deepEqual(filtered({ excludeTypes: ["AWS::Lambda::Version,AWS::IAM::*"] }), ["Api", "Api/Handler"]);
+  });
+
+  it("resource", () => {
+    assert.deepEqual(filtered({ resources: ["Api/*"] }), ["Api/Handler", "Api/HandlerVersion1"]);
+    assert.deepEqual(filtered({ resources: ["Role", "Api/**"] }), [
+      "Role",
+      "Api/Handler",
+      "Api/HandlerVersion1",
+      "Api/Auth/Policy",
+    ]);
+  });
+
+  it("action", () => {
+    assert.deepEqual(filtered({ actions: ["Remove,Add"] }), ["Api/HandlerVersion1", "Api/Auth/Policy"]);
+    assert.throws(() => createChangeFilter({ actions: ["Delete"] }), /Unknown action "Delete"/);
+  });
+
+  it("combined", () => {
+    assert.deepEqual(filtered({ resources: ["Api/**"], excludeTypes: ["AWS::Lambda::Version"], actions: ["Modify"] }), [
+      "Api/Handler",
+    ]);
+  });
+
+  it("filtered out changes are still checked by --fail-on", async () => {
+    const tree = await describeChangeSetTree(
+      new CloudFormation({ region: "us-east-1" }),
+      "file://examples/nested.json",
+    );
+    const result = getChangeSetResult(tree, { filter: createChangeFilter({ actions: ["Add"] }) });
+    assert.deepEqual(
+      result.changes.map((entry) => entry.logicalResourceId),
+      ["Stack/BucketToAdd"],
+    );
+    const failures = getFailures(result.allChanges, parseFailOnRules(["remove"]));
+    assert.deepEqual(failures[0].logicalResourceIds, ["Stack/BucketToRemove"]);
+  });
+});
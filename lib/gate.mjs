@@ -0,0 +1,103 @@
+import { PolicyAction } from "@aws-sdk/client-cloudformation";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ *
+ * @typedef {{
+ *   name: string
+ *   exitCode: number
+ *   matches: (entry: ChangeEntry) => boolean
+ * }} FailOnRule
+ *
+ * @typedef {{
+ *   rule: string
+ *   exitCode: number
+ *   logicalResourceIds: string[]
+ * }} Failure
+ */
+
+/**
+ * exit codes used when a `--fail-on` rule matches, 1 is reserved for errors
+ */
+export const FailOnExitCodes = {
+  replacement: 2,
+  "conditional-replacement": 3,
+  remove: 4,
+  policy: 5,
+};
+
+/**
+ * Parse a `--fail-on` value, e.g. `replacement`, `remove` or `policy:Delete`
+ * @param {string} value
+ * @returns {FailOnRule}
+ */
+export function parseFailOnRule(value) {
+  if (value === "replacement") {
+    return {
+      name: value,
+      exitCode: FailOnExitCodes.replacement,
+      matches: (entry) => entry.replacement === "True",
+    };
+  }
+  if (value === "conditional-replacement") {
+    return {
+      name: value,
+      exitCode: FailOnExitCodes["conditional-replacement"],
+      matches: (entry) => entry.replacement === "Conditional",
+    };
+  }
+  if (value === "remove") {
+    return {
+      name: value,
+      exitCode: FailOnExitCodes.remove,
+      matches: (entry) => entry.action === "Remove",
+    };
+  }
+  if (value.startsWith("policy:")) {
+    const policyAction = value.slice("policy:".length);
+    if (!Object.values(PolicyAction).includes(/** @type {PolicyAction} */ (policyAction))) {
+      throw new Error(
+        `Unknown policy action "${policyAction}" in --fail-on, expected one of ${Object.values(PolicyAction).join(", ")}`,
+      );
+    }
+    return {
+      name: value,
+      exitCode: FailOnExitCodes.policy,
+      matches: (entry) => entry.policyAction === policyAction,
+    };
+  }
+  throw new Error(
+    `Unknown --fail-on value "${value}", expected replacement, conditional-replacement, remove or policy:<PolicyAction>`,
+  );
+}
+
+/**
+ * Parse the `--fail-on` values, each value may also be a comma separated list
+ * @param {string[]} values
+ * @returns {FailOnRule[]}
+ */
+export function parseFailOnRules(values) {
+  return values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter((value) => value)
+    .map(parseFailOnRule);
+}
+
+/**
+ * Get the rules that matched at least one resource change, in the order the rules were given
+ * @param {ChangeEntry[]} changes
+ * @param {FailOnRule[]} rules
+ * @returns {Failure[]}
+ */
+export function getFailures(changes, rules) {
+  /** @type {Failure[]} */
+  const failures = [];
+  for (const rule of rules) {
+    const logicalResourceIds = changes.filter(rule.matches).map((entry) => entry.logicalResourceId);
+    if (logicalResourceIds.length > 0) {
+      failures.push({ rule: rule.name, exitCode: rule.exitCode, logicalResourceIds });
+    }
+  }
+  return failures;
+}
@@ -0,0 +1,49 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { getChangeEntry } from "./changeset.mjs";
+import { FailOnExitCodes, getFailures, parseFailOnRules } from "./gate.mjs";
+
+describe("lib/gate.test.mjs", () => {
+  const changes = [
+    getChangeEntry({ LogicalResourceId: "Table", Action: "Modify", Replacement: "True" }),
+    getChangeEntry({ LogicalResourceId: "Bucket", Action: "Remove", PolicyAction: "Delete" }, {}, "Nested/"),
+    getChangeEntry({ LogicalResourceId: "Function", Action: "Modify", Replacement: "Conditional" }),
+    getChangeEntry({ LogicalResourceId: "Queue", Action: "Add" }),
+  ];
+
+  it("replacement", () => {
+    const failures = getFailures(changes, parseFailOnRules(["replacement"]));
+    assert.deepEqual(failures, [
+      { rule: "replacement", exitCode: FailOnExitCodes.replacement, logicalResourceIds: ["Table"] },
+    ]);
+  });
+
+  it("conditional replacement", () => {
+    const failures = getFailures(changes, parseFailOnRules(["conditional-replacement"]));
+    assert.deepEqual(failures, [
+      {
+        rule: "conditional-replacement",
+        exitCode: FailOnExitCodes["conditional-replacement"],
+        logicalResourceIds: ["Function"],
+      },
+    ]);
+  });
+
+  it("remove and policy, comma separated", () => {
+    const failures = getFailures(changes, parseFailOnRules(["policy:Delete,remove"]));
+    assert.deepEqual(failures, [
+      { rule: "policy:Delete", exitCode: FailOnExitCodes.policy, logicalResourceIds: ["Nested/Bucket"] },
+      { rule: "remove", exitCode: FailOnExitCodes.remove, logicalResourceIds: ["Nested/Bucket"] },
+    ]);
+  });
+
+  it("no matches", () => {
+    const failures = getFailures([changes[3]], parseFailOnRules(["replacement", "remove", "policy:Retain"]));
+    assert.deepEqual(failures, []);
+  });
+
+  it("unknown values", () => {
+    assert.throws(() => parseFailOnRules(["everything"]), /Unknown --fail-on value "everything"/);
+    assert.throws(() => parseFailOnRules(["policy:Destroy"]), /Unknown policy action "Destroy"/);
+  });
+});
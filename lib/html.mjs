@@ -0,0 +1,247 @@
+import { getDiffLines } from "./diff.mjs";
+import { escapeHtml } from "./escape.mjs";
+import { totalLabels } from "./labels.mjs";
+import { getPermissionFindings } from "./permissions.mjs";
+import { getStatefulChanges } from "./stateful.mjs";
+import { getStatusMessages } from "./status.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ * @typedef {import('./changeset.mjs').Totals} Totals
+ *
+ * @typedef {{
+ *   changeSetId: string
+ *   stackId: string
+ *   totals: Totals
+ *   changes: ChangeEntry[]
+ *   stackDiff?: import('./diff.mjs').Diff
+ *   statuses?: import('./status.mjs').ChangeSetStatus[]
+ *   url?: string
+ * }} HtmlInput
+ */
+
+/** @type {Record<string, string>} */
+const lineClasses = {
+  "+": "add",
+  "-": "remove",
+};
+
+const styles = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { font-size: 1.4rem; }
+.banner { display: flex; gap: 1rem; flex-wrap: wrap; padding: 0.75rem 1rem; background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; }
+.banner span { font-weight: 600; }
+.status { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 6px; font-weight: 600; background: #fff8c5; color: #4d2d00; }
+.status.failed { background: #ffebe9; color: #82071e; }
+.status p { margin: 0; }
+.filters { margin: 1rem 0; display: flex; gap: 1rem; flex-wrap: wrap; }
+details { margin: 0.25rem 0 0.25rem 1rem; }
+details.stack > summary { font-weight: 600; }
+summary { cursor: pointer; }
+code { font-family: ui-monospace, monospace; }
+.badge { display: inline-block; margin-left: 0.5rem; padding: 0 0.4rem; border-radius: 4px; font-size: 0.8rem; background: #eaeef2; }
+.badge.replacement { background: #ffebe9; color: #82071e; }
+.badge.policy { background: #fff8c5; color: #4d2d00; }
+pre { margin: 0.5rem 0; padding: 0.5rem; background: #f6f8fa; border-radius: 6px; overflow-x: auto; }
+pre .add { color: #116329; background: #dafbe1; }
+pre .remove { color: #82071e; background: #ffebe9; }
+li.high { color: #82071e; font-weight: 600; }
+.resource[hidden] { display: none; }
+`;
+
+const script = `
+for (const input of document.querySelectorAll(".filters input")) {
+  input.addEventListener("change", () => {
+    const hidden = new Set([...document.querySelectorAll(".filters input:not(:checked)")].map((i) => i.value));
+    for (const resource of document.querySelectorAll(".resource")) {
+      resource.hidden = hidden.has(resource.dataset.action);
+    }
+  });
+}
+`;
+
+/**
+ * @param {string[]} diffLines
+ */
+function renderDiffLines(diffLines) {
+  return `<pre>${diffLines.map((line) => `<span class="${lineClasses[line[0]] ?? "default"}">${escapeHtml(line)}</span>`).join("\n")}</pre>`;
+}
+
+/**
+ * @param {ChangeEntry} entry
+ * @param {boolean} showUnchangedProperties
+ * @returns {string[]}
+ */
+function renderResource(entry, showUnchangedProperties) {
+  const diffLines = getDiffLines(
+    entry.diff,
+    { indent: 0, showColor: false, showUnchangedProperties },
+    entry.replacementNotes,
+  );
+  if (diffLines.length === 0) return [];
+
+  const badges = [`<span class="badge">${escapeHtml(entry.action ?? "")}</span>`];
+  if (entry.replacement === "True") badges.push(`<span class="badge replacement">Replacement</span>`);
+  if (entry.replacement === "Conditional") badges.push(`<span class="badge replacement">May be replaced</span>`);
+  if (entry.policyAction) {
+    badges.push(`<span class="badge policy">Policy: ${escapeHtml(entry.policyAction)}</span>`);
+  }
+
+  const logicalId = entry.logicalResourceId.slice(entry.path.length);
+  return [
+    `<details class="resource" data-action="${escapeHtml(entry.action ?? "")}">`,
+    `<summary><code>${escapeHtml(logicalId)}</code> ${escapeHtml(entry.resourceType ?? "")}${badges.join("")}</summary>`,
+    renderDiffLines(diffLines),
+    "</details>",
+  ];
+}
+
+/**
+ * @param {string} path nested stack path, e.g. `Api/Auth/`
+ * @param {ChangeEntry[]} changes
+ * @param {string[]} stackPaths every nested stack path
+ * @param {boolean} showUnchangedProperties
+ * @returns {string[]}
+ */
+function renderStack(path, changes, stackPaths, showUnchangedProperties) {
+  /** @type {string[]} */
+  const lines = [];
+  for (const entry of changes) {
+    if (entry.path !== path) continue;
+    lines.push(...renderResource(entry, showUnchangedProperties));
+  }
+  for (const nestedPath of stackPaths) {
+    // only direct children of this stack
+    if (nestedPath === path || !nestedPath.startsWith(path)) continue;
+    if (nestedPath.slice(path.length, -1).includes("/")) continue;
+    lines.push(
+      `<details class="stack" open>`,
+      `<summary>${escapeHtml(nestedPath.slice(path.length, -1))} (nested stack)</summary>`,
+      ...renderStack(nestedPath, changes, stackPaths, showUnchangedProperties),
+      "</details>",
+    );
+  }
+  return lines;
+}
+
+/**
+ * @param {HtmlInput} result
+ * @returns {string[]}
+ */
+function renderStatus(result) {
+  const statusMessages = getStatusMessages(result.statuses ?? []);
+  if (statusMessages.length === 0) return [];
+  const failed = result.statuses?.some((status) => status.status === "FAILED");
+  return [
+    `<div class="status${failed ? " failed" : ""}">`,
+    ...statusMessages.map((message) => `<p>${escapeHtml(message)}</p>`),
+    "</div>",
+  ];
+}
+
+/**
+ * @param {HtmlInput} result
+ * @returns {string[]}
+ */
+function renderStatefulChanges(result) {
+  const statefulChanges = getStatefulChanges(result.changes);
+  if (statefulChanges.length === 0) return [];
+  const dataLoss = statefulChanges.some((change) => !change.dataSurvives);
+  return [
+    `<div class="status${dataLoss ? " failed" : ""}">`,
+    "<p>Stateful resources</p>",
+    "<ul>",
+    ...statefulChanges.map((change) => `<li>${escapeHtml(change.message)}</li>`),
+    "</ul>",
+    "</div>",
+  ];
+}
+
+/**
+ * @param {HtmlInput} result
+ * @returns {string[]}
+ */
+function renderPermissionFindings(result) {
+  const permissionFindings = getPermissionFindings(result.changes, result.stackId);
+  if (permissionFindings.length === 0) return [];
+  return [
+    `<details class="settings" open>`,
+    "<summary>Permissions</summary>",
+    "<ul>",
+    ...permissionFindings.map((finding) => `<li class="${finding.severity}">${escapeHtml(finding.message)}</li>`),
+    "</ul>",
+    "</details>",
+  ];
+}
+
+/**
+ * @param {HtmlInput} result
+ * @param {boolean} showUnchangedProperties
+ * @returns {string[]}
+ */
+function renderStackSettings(result, showUnchangedProperties) {
+  if (!result.stackDiff) return [];
+  const diffLines = getDiffLines(result.stackDiff, { indent: 0, showColor: false, showUnchangedProperties });
+  if (diffLines.length === 0) return [];
+  return [
+    `<details class="settings" open>`,
+    "<summary>Parameters and stack settings</summary>",
+    renderDiffLines(diffLines),
+    "</details>",
+  ];
+}
+
+/**
+ * Render the change set as a single, self-contained HTML page
+ * @param {HtmlInput} result
+ * @param {object} [options]
+ * @param {boolean} [options.showUnchangedProperties]
+ * @returns {string}
+ */
+export function renderHtml(result, options = {}) {
+  /** @type {Set<string>} */
+  const stackPaths = new Set();
+  for (const entry of result.changes) {
+    // include every parent stack, in case the nested stack resources themselves are filtered out
+    const segments = entry.path.split("/").filter((segment) => segment);
+    for (let i = 1; i <= segments.length; i++) {
+      stackPaths.add(`${segments.slice(0, i).join("/")}/`);
+    }
+  }
+  // nested stacks are listed in the order they first appear in the change set
+  const sortedStackPaths = [...stackPaths];
+
+  const stackName = result.stackId.split("/")[1] ?? result.stackId;
+  const title = `Change set for ${stackName}`;
+
+  const lines = [
+    "<!doctype html>",
+    `<html lang="en">`,
+    "<head>",
+    `<meta charset="utf-8">`,
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${styles}</style>`,
+    "</head>",
+    "<body>",
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p><code>${escapeHtml(result.changeSetId)}</code></p>`,
+    ...renderStatus(result),
+    ...renderStatefulChanges(result),
+    `<div class="banner">`,
+    ...totalLabels.map(
+      ([action, label]) => `<div><span>${result.totals[action]}</span> resources ${label.toLowerCase()}</div>`,
+    ),
+    "</div>",
+    `<div class="filters">`,
+    ...totalLabels.map(([action]) => `<label><input type="checkbox" value="${action}" checked> ${action}</label>`),
+    "</div>",
+    ...renderPermissionFindings(result),
+    ...renderStackSettings(result, options.showUnchangedProperties ?? false),
+    ...renderStack("", result.changes, sortedStackPaths, options.showUnchangedProperties ?? false),
+  ];
+  if (result.url) {
+    lines.push(`<p><a href="${escapeHtml(result.url)}">View change set in the AWS console</a></p>`);
+  }
+  lines.push(`<script>${script}</script>`, "</body>", "</html>");
+  return lines.join("\n");
+}
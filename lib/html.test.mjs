@@ -0,0 +1,67 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { getChangeEntry } from "./changeset.mjs";
+import { renderHtml } from "./html.mjs";
+
+/**
+ * @param {string} logicalResourceId
+ * @param {string} [path]
+ * @param {object} [properties]
+ */
+function addTopic(logicalResourceId, path = "", properties = {}) {
+  return getChangeEntry(
+    {
+      LogicalResourceId: logicalResourceId,
+      ResourceType: "AWS::SNS::Topic",
+      Action: "Add",
+      AfterContext: JSON.stringify({ Properties: properties }),
+    },
+    {},
+    path,
+  );
+}
+
+describe("lib/html.test.mjs", () => {
+  const result = {
+    changeSetId: "arn:aws:cloudformation:us-east-1:123123123123:changeSet/release/1",
+    stackId: "arn:aws:cloudformation:us-east-1:123123123123:stack/my-stack/1",
+    totals: { Add: 3, Modify: 0, Remove: 0, Import: 0, Dynamic: 0 },
+  };
+
+  it("totals banner and filters", () => {
+    const actual = renderHtml({ ...result, changes: [] });
+    assert.ok(actual.startsWith("<!doctype html>"));
+    assert.ok(actual.includes("<title>Change set for my-stack</title>"));
+    assert.ok(actual.includes("<div><span>3</span> resources added</div>"));
+    assert.ok(actual.includes(`<input type="checkbox" value="Remove" checked>`));
+  });
+
+  it("nested stacks", () => {
+    const actual = renderHtml({
+      ...result,
+      changes: [
+        addTopic("Topic"),
+        // the nested stack resources of Api and Api/Auth are filtered out
+        addTopic("Topic", "Api/Auth/"),
+        addTopic("Topic", "Api/"),
+      ],
+    });
+    const summaries = [...actual.matchAll(/<summary>(.*?)<\/summary>/g)].map((match) => match[1].split("<span")[0]);
+    assert.deepEqual(summaries, [
+      "<code>Topic</code> AWS::SNS::Topic",
+      "Api (nested stack)",
+      "<code>Topic</code> AWS::SNS::Topic",
+      "Auth (nested stack)",
+      "<code>Topic</code> AWS::SNS::Topic",
+    ]);
+  });
+
+  it("escapes values", () => {
+    const actual = renderHtml({
+      ...result,
+      changes: [addTopic("Topic", "", { TopicName: "<script>" })],
+    });
+    assert.ok(actual.includes("&lt;script&gt;"));
+    assert.ok(!actual.includes('<script>"'));
+  });
+});
@@ -0,0 +1,441 @@
+import { join } from "node:path";
+import readline from "node:readline";
+import chalk from "chalk";
+import { getDiffLines } from "./diff.mjs";
+import { actionIcons } from "./labels.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ * @typedef {import('./changeset.mjs').ChangeSetResult} ChangeSetResult
+ * @typedef {import('./diff.mjs').Diff} Diff
+ * @typedef {import('./diff.mjs').LogOptions} LogOptions
+ *
+ * @typedef {object} TreeNode
+ * @property {string[]} lines the first line is the node itself, leaves may span more lines
+ * @property {TreeNode[]} children
+ * @property {boolean} expanded
+ * @property {TreeNode} [parent]
+ * @property {ChangeEntry} [entry] the resource change of a resource node
+ * @property {string} stackPath the nested stack the node belongs to, e.g. `Api/`
+ *
+ * @typedef {object} Row
+ * @property {TreeNode} node
+ * @property {number} line index in the lines of the node
+ * @property {number} depth
+ *
+ * @typedef {object} InteractiveState
+ * @property {TreeNode} root
+ * @property {Row[]} rows the rows of every expanded node
+ * @property {number} cursor index of the selected row
+ * @property {number} scroll index of the first row on screen
+ * @property {string} query the last search
+ * @property {boolean} searching whether keys are typed into the search box
+ * @property {string} [message] shown in the footer until the next key
+ */
+
+/** @type {Record<string, chalk.Chalk>} */
+const lineColors = {
+  "+": chalk.green,
+  "-": chalk.red,
+};
+
+const help = "↑↓ move  ←→ fold  / search  n/N next match  r/R next replacement  q quit";
+
+/**
+ * @param {ChangeEntry} entry
+ */
+function getResourceLine(entry) {
+  const badges = [];
+  if (entry.replacement === "True") badges.push("[replacement]");
+  if (entry.replacement === "Conditional") badges.push("[may be replaced]");
+  if (entry.policyAction) badges.push(`[policy: ${entry.policyAction}]`);
+  const logicalId = entry.logicalResourceId.slice(entry.path.length);
+  return [actionIcons[entry.action ?? ""] ?? " ", logicalId, entry.resourceType ?? "", ...badges].join(" ");
+}
+
+/**
+ * Create the nodes of a diff. Objects and arrays can be folded, their items and other values are shown as lines
+ * @param {Diff} diff
+ * @param {string} key
+ * @param {string} path property path used for the notes, e.g. `Bucket/Properties/Tags`
+ * @param {Record<string, string>} notes
+ * @param {LogOptions} options
+ * @returns {TreeNode | undefined} undefined if the diff has no lines to show
+ */
+function createDiffNode(diff, key, path, notes, options) {
+  const lines = getDiffLines(diff, options, notes, key, "", path);
+  if (lines.length === 0) return undefined;
+  // replacements, values and intrinsic functions are shown on their own lines
+  if (diff.action === "Replace" || diff.node.type === "primitive" || lines.length === 1) {
+    return { lines, children: [], expanded: false, stackPath: "" };
+  }
+  const children =
+    diff.node.type === "object"
+      ? Object.entries(diff.node.properties).map(([childKey, child]) =>
+          createDiffNode(child, childKey, join(path, childKey), notes, options),
+        )
+      : diff.node.items.map((item, i) => {
+          const itemLines = getDiffLines(item, options, notes, "", "- ", join(path, String(i + 1)));
+          /** @type {TreeNode | undefined} */
+          const itemNode =
+            itemLines.length > 0 ? { lines: itemLines, children: [], expanded: false, stackPath: "" } : undefined;
+          return itemNode;
+        });
+  return {
+    // the header of an object or array is its first line
+    lines: [lines[0]],
+    children: children.filter(/** @returns {child is TreeNode} */ (child) => child !== undefined),
+    expanded: true,
+    stackPath: "",
+  };
+}
+
+/**
+ * Link a node and its descendants to their parent
+ * @param {TreeNode} node
+ * @param {TreeNode} parent
+ * @param {string} stackPath the nested stack of the node and its descendants
+ */
+function setParent(node, parent, stackPath) {
+  node.parent = parent;
+  node.stackPath = stackPath;
+  for (const child of node.children) setParent(child, node, stackPath);
+}
+
+/**
+ * @param {TreeNode} node
+ * @param {TreeNode} parent
+ * @param {string} stackPath
+ */
+function addChild(node, parent, stackPath) {
+  setParent(node, parent, stackPath);
+  parent.children.push(node);
+}
+
+/**
+ * Build the tree of nested stacks, resources and their properties.
+ * Nested stacks are expanded, resources start folded except for nested stack resources
+ * @param {ChangeSetResult} result
+ * @param {object} [options]
+ * @param {boolean} [options.showUnchangedProperties]
+ * @returns {TreeNode}
+ */
+export function createTree(result, options = {}) {
+  /** @type {TreeNode} */
+  const root = { lines: [], children: [], expanded: true, stackPath: "" };
+  /** @type {Map<string, TreeNode>} */
+  const stacks = new Map([["", root]]);
+  /** @type {LogOptions} */
+  const logOptions = { indent: 0, showColor: false, showUnchangedProperties: options.showUnchangedProperties ?? false };
+
+  /**
+   * @param {string} path
+   * @returns {TreeNode}
+   */
+  const getStack = (path) => {
+    const existing = stacks.get(path);
+    if (existing) return existing;
+    // the nested stack resource itself is unchanged or filtered out
+    const parentPath = path.slice(0, path.slice(0, -1).lastIndexOf("/") + 1);
+    /** @type {TreeNode} */
+    const stack = {
+      lines: [`  ${path.slice(parentPath.length, -1)} (nested stack)`],
+      children: [],
+      expanded: true,
+      stackPath: "",
+    };
+    addChild(stack, getStack(parentPath), parentPath);
+    stacks.set(path, stack);
+    return stack;
+  };
+
+  for (const entry of result.changes) {
+    const isStack = entry.resourceType === "AWS::CloudFormation::Stack";
+    /** @type {TreeNode} */
+    const resource = { lines: [getResourceLine(entry)], children: [], expanded: isStack, entry, stackPath: "" };
+    // the root of the diff is the logical id, its properties are the resource's Type, Properties, etc.
+    const resourceDiff =
+      entry.diff.action !== "Replace" &&
+      entry.diff.node.type === "object" &&
+      entry.diff.node.properties[entry.logicalResourceId];
+    if (resourceDiff && resourceDiff.action !== "Replace" && resourceDiff.node.type === "object") {
+      for (const [key, diff] of Object.entries(resourceDiff.node.properties)) {
+        const child = createDiffNode(diff, key, join(entry.logicalResourceId, key), entry.replacementNotes, logOptions);
+        if (child) resource.children.push(child);
+      }
+    }
+    addChild(resource, getStack(entry.path), entry.path);
+    if (isStack) stacks.set(`${entry.logicalResourceId}/`, resource);
+  }
+  return root;
+}
+
+/**
+ * Get the rows of every expanded node
+ * @param {TreeNode} root
+ * @returns {Row[]}
+ */
+export function getRows(root) {
+  /** @type {Row[]} */
+  const rows = [];
+  /**
+   * @param {TreeNode} node
+   * @param {number} depth
+   */
+  const visit = (node, depth) => {
+    for (let line = 0; line < node.lines.length; line++) rows.push({ node, line, depth });
+    if (!node.expanded) return;
+    for (const child of node.children) visit(child, depth + 1);
+  };
+  for (const child of root.children) visit(child, 0);
+  return rows;
+}
+
+/**
+ * Get the text of a row, indented by its depth, with a fold marker for nodes with children
+ * @param {Row} row
+ */
+export function getRowText(row) {
+  const text = row.node.lines[row.line];
+  let marker = "  ";
+  if (row.line === 0 && row.node.children.length > 0) marker = row.node.expanded ? "▾ " : "▸ ";
+  return `${text.slice(0, 2)}${"  ".repeat(row.depth)}${marker}${text.slice(2)}`;
+}
+
+/**
+ * @param {TreeNode} root
+ * @returns {InteractiveState}
+ */
+export function createState(root) {
+  return { root, rows: getRows(root), cursor: 0, scroll: 0, query: "", searching: false };
+}
+
+/**
+ * Every node in the order they are shown when expanded
+ * @param {TreeNode} root
+ * @returns {TreeNode[]}
+ */
+function getAllNodes(root) {
+  /** @type {TreeNode[]} */
+  const nodes = [];
+  /**
+   * @param {TreeNode} node
+   */
+  const visit = (node) => {
+    nodes.push(node);
+    for (const child of node.children) visit(child);
+  };
+  for (const child of root.children) visit(child);
+  return nodes;
+}
+
+/**
+ * Select a line of a node, expanding its parents so it is shown
+ * @param {InteractiveState} state
+ * @param {TreeNode} node
+ * @param {number} [line]
+ */
+function select(state, node, line = 0) {
+  for (let parent = node.parent; parent; parent = parent.parent) parent.expanded = true;
+  state.rows = getRows(state.root);
+  state.cursor = Math.max(
+    0,
+    state.rows.findIndex((row) => row.node === node && row.line === line),
+  );
+}
+
+/**
+ * Select the next (or previous) node matching the predicate, searching folded nodes too
+ * @param {InteractiveState} state
+ * @param {(node: TreeNode) => number} predicate the index of the matching line of the node, -1 if it doesn't match
+ * @param {1 | -1} direction
+ * @returns {boolean} whether a node was found
+ */
+export function selectNext(state, predicate, direction) {
+  const nodes = getAllNodes(state.root);
+  const current = nodes.indexOf(state.rows[state.cursor]?.node);
+  for (let i = 1; i <= nodes.length; i++) {
+    const node = nodes[(current + i * direction + nodes.length * 2) % nodes.length];
+    const line = predicate(node);
+    if (line >= 0) {
+      select(state, node, line);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {string} query
+ * @returns {(node: TreeNode) => number}
+ */
+function matchesQuery(query) {
+  const lowerQuery = query.toLowerCase();
+  return (node) => node.lines.findIndex((line) => line.toLowerCase().includes(lowerQuery));
+}
+
+/**
+ * @param {TreeNode} node
+ */
+function isReplacement(node) {
+  return node.entry?.replacement === "True" || node.entry?.replacement === "Conditional" ? 0 : -1;
+}
+
+/**
+ * Update the state for a key press
+ * @param {InteractiveState} state
+ * @param {{ name?: string; sequence?: string; ctrl?: boolean; shift?: boolean }} key
+ * @param {number} pageSize rows on screen
+ * @returns {boolean} false to quit
+ */
+export function handleKey(state, key, pageSize) {
+  state.message = undefined;
+  if (key.ctrl && key.name === "c") return false;
+
+  if (state.searching) {
+    if (key.name === "return") {
+      state.searching = false;
+      if (state.query && !selectNext(state, matchesQuery(state.query), 1))
+        state.message = `No match for "${state.query}"`;
+    } else if (key.name === "escape") {
+      state.searching = false;
+    } else if (key.name === "backspace") {
+      state.query = state.query.slice(0, -1);
+    } else if (key.sequence && key.sequence.length === 1 && key.sequence >= " ") {
+      state.query += key.sequence;
+    }
+    return true;
+  }
+
+  const row = state.rows[state.cursor];
+  const sequence = key.sequence ?? "";
+  if (sequence === "q" || key.name === "escape") return false;
+  if (key.name === "up" || sequence === "k") state.cursor--;
+  else if (key.name === "down" || sequence === "j") state.cursor++;
+  else if (key.name === "pageup") state.cursor -= pageSize;
+  else if (key.name === "pagedown") state.cursor += pageSize;
+  else if (key.name === "home" || sequence === "g") state.cursor = 0;
+  else if (key.name === "end" || sequence === "G") state.cursor = state.rows.length - 1;
+  else if (row && (key.name === "right" || sequence === "l")) {
+    if (row.node.children.length > 0) row.node.expanded = true;
+    state.rows = getRows(state.root);
+  } else if (row && (key.name === "left" || sequence === "h")) {
+    // fold the node, or go to its parent if it is folded already
+    if (row.node.expanded && row.node.children.length > 0) {
+      row.node.expanded = false;
+      select(state, row.node);
+    } else if (row.node.parent && row.node.parent !== state.root) {
+      select(state, row.node.parent);
+    }
+  } else if (row && (key.name === "return" || key.name === "space")) {
+    row.node.expanded = !row.node.expanded;
+    select(state, row.node);
+  } else if (sequence === "/") {
+    state.searching = true;
+    state.query = "";
+  } else if (sequence === "n" || sequence === "N") {
+    if (!state.query) state.message = "Search with /";
+    else if (!selectNext(state, matchesQuery(state.query), sequence === "n" ? 1 : -1)) {
+      state.message = `No match for "${state.query}"`;
+    }
+  } else if (sequence === "r" || sequence === "R") {
+    if (!selectNext(state, isReplacement, sequence === "r" ? 1 : -1)) state.message = "No replacements";
+  }
+
+  state.cursor = Math.min(Math.max(state.cursor, 0), Math.max(state.rows.length - 1, 0));
+  return true;
+}
+
+/**
+ * Render the screen: a header with the nested stack of the selected row, the rows, and a footer with the search box
+ * @param {InteractiveState} state
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} showColor
+ * @returns {string[]}
+ */
+export function renderScreen(state, width, height, showColor) {
+  const pageSize = Math.max(1, height - 2);
+  if (state.cursor < state.scroll) state.scroll = state.cursor;
+  if (state.cursor >= state.scroll + pageSize) state.scroll = state.cursor - pageSize + 1;
+
+  const row = state.rows[state.cursor];
+  const stackPath = row ? row.node.stackPath.slice(0, -1).split("/").join(" › ") : "";
+  const position = `${state.rows.length === 0 ? 0 : state.cursor + 1}/${state.rows.length}`;
+  const title = `Stack: ${stackPath || "(root)"}`;
+  const header = `${title.padEnd(Math.max(0, width - position.length - 1))} ${position}`;
+
+  /**
+   * @param {string} text
+   */
+  const fit = (text) => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+  const lines = [showColor ? chalk.inverse(fit(header).padEnd(width)) : fit(header)];
+  for (let i = state.scroll; i < Math.min(state.rows.length, state.scroll + pageSize); i++) {
+    const text = getRowText(state.rows[i]);
+    if (!showColor) {
+      // without colors, the selected row is marked instead of highlighted
+      lines.push(fit(`${i === state.cursor ? ">" : " "} ${text}`));
+      continue;
+    }
+    const color = lineColors[text[0]] ?? chalk.reset;
+    lines.push(i === state.cursor ? chalk.inverse(color(fit(text).padEnd(width))) : color(fit(text)));
+  }
+  while (lines.length < height - 1) lines.push("");
+
+  let footer = help;
+  if (state.searching) footer = `/${state.query}`;
+  else if (state.message) footer = state.message;
+  lines.push(fit(footer));
+  return lines;
+}
+
+/**
+ * Browse the change set in the terminal until `q` is pressed
+ * @param {ChangeSetResult} result
+ * @param {object} [options]
+ * @param {boolean} [options.showColor]
+ * @param {boolean} [options.showUnchangedProperties]
+ * @param {NodeJS.ReadStream} [options.input]
+ * @param {NodeJS.WriteStream} [options.output]
+ * @returns {Promise<void>}
+ */
+export function runInteractive(result, options = {}) {
+  const input = options.input ?? process.stdin;
+  const output = options.output ?? process.stdout;
+  if (!input.isTTY || !output.isTTY) {
+    return Promise.reject(new Error("--interactive requires a terminal"));
+  }
+  const state = createState(createTree(result, { showUnchangedProperties: options.showUnchangedProperties }));
+  const showColor = options.showColor ?? true;
+
+  const draw = () => {
+    const lines = renderScreen(state, output.columns, output.rows, showColor);
+    output.write(`\x1b[H\x1b[2J${lines.join("\n")}`);
+  };
+
+  return new Promise((resolve) => {
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    // alternate screen buffer, hidden cursor
+    output.write("\x1b[?1049h\x1b[?25l");
+    /**
+     * @param {string} _
+     * @param {{ name?: string; sequence?: string; ctrl?: boolean }} key
+     */
+    const onKeypress = (_, key) => {
+      if (handleKey(state, key ?? {}, Math.max(1, output.rows - 2))) {
+        draw();
+        return;
+      }
+      input.off("keypress", onKeypress);
+      output.off("resize", draw);
+      input.setRawMode(false);
+      input.pause();
+      output.write("\x1b[?25h\x1b[?1049l");
+      resolve();
+    };
+    input.on("keypress", onKeypress);
+    output.on("resize", draw);
+    draw();
+  });
+}
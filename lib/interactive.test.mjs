@@ -0,0 +1,118 @@
+import { strict as assert } from "node:assert";
+import { PassThrough } from "node:stream";
+import { describe, it } from "node:test";
+import { CloudFormation } from "@aws-sdk/client-cloudformation";
+import { describeChangeSetTree, getChangeSetResult } from "./changeset.mjs";
+import { createState, createTree, getRowText, handleKey, renderScreen, runInteractive } from "./interactive.mjs";
+
+describe("lib/interactive.test.mjs", () => {
+  const cfn = new CloudFormation({ region: "us-east-1" });
+
+  /**
+   * @param {string} file
+   */
+  async function getState(file) {
+    const tree = await describeChangeSetTree(cfn, `file://examples/${file}`);
+    return createState(createTree(getChangeSetResult(tree)));
+  }
+
+  /**
+   * @param {import('./interactive.mjs').InteractiveState} state
+   */
+  function getTexts(state) {
+    return state.rows.map(getRowText);
+  }
+
+  it("resources start folded", async () => {
+    const state = await getState("multiple.json");
+    assert.deepEqual(getTexts(state), [
+      "+ ▸ BucketToAdd AWS::S3::Bucket",
+      "- ▸ BucketToRemove AWS::S3::Bucket [policy: Delete]",
+      "~ ▸ BucketToUpdate AWS::S3::Bucket",
+      "~ ▸ BucketWithTags AWS::S3::Bucket",
+    ]);
+  });
+
+  it("nested stack resources are the parents of their resources", async () => {
+    const state = await getState("nested.json");
+    const texts = getTexts(state);
+    assert.equal(texts[0], "~ ▾ Stack AWS::CloudFormation::Stack");
+    assert.ok(texts.includes("+   ▸ BucketToAdd AWS::S3::Bucket"), texts.join("\n"));
+    const nested = state.rows.find((row) => row.node.entry?.logicalResourceId === "Stack/BucketToAdd");
+    assert.equal(nested?.node.stackPath, "Stack/");
+    assert.equal(state.rows[0].node.stackPath, "");
+  });
+
+  it("folds and unfolds", async () => {
+    const state = await getState("multiple.json");
+    handleKey(state, { name: "down" }, 10);
+    handleKey(state, { name: "right" }, 10);
+    assert.deepEqual(getTexts(state).slice(1, 4), [
+      "- ▾ BucketToRemove AWS::S3::Bucket [policy: Delete]",
+      '-     Type: "AWS::S3::Bucket"',
+      "-     Properties: {}",
+    ]);
+    // folding a property moves to the resource, then folds it
+    handleKey(state, { name: "down" }, 10);
+    handleKey(state, { name: "left" }, 10);
+    assert.equal(state.cursor, 1);
+    handleKey(state, { name: "left" }, 10);
+    assert.equal(getTexts(state).length, 4);
+  });
+
+  it("searches folded resources", async () => {
+    const state = await getState("multiple.json");
+    for (const sequence of ["/", "T", "o", "A", "d", "d"]) handleKey(state, { sequence }, 10);
+    assert.equal(state.searching, true);
+    handleKey(state, { name: "return" }, 10);
+    assert.equal(state.searching, false);
+    assert.ok(getRowText(state.rows[state.cursor]).includes("ToAdd"));
+    // the parents of the match are unfolded
+    assert.ok(getTexts(state).includes("~ ▾ BucketWithTags AWS::S3::Bucket"));
+
+    for (const sequence of ["/", "n", "o", "p", "e"]) handleKey(state, { sequence }, 10);
+    handleKey(state, { name: "return" }, 10);
+    assert.equal(state.message, 'No match for "nope"');
+  });
+
+  it("jumps to the next replacement", async () => {
+    const state = await getState("nested.json");
+    handleKey(state, { sequence: "r" }, 10);
+    assert.equal(state.rows[state.cursor].node.entry?.logicalResourceId, "Stack/BucketToReplace");
+    // wraps around to the only replacement
+    handleKey(state, { sequence: "R" }, 10);
+    assert.equal(state.rows[state.cursor].node.entry?.logicalResourceId, "Stack/BucketToReplace");
+  });
+
+  it("quits", async () => {
+    const state = await getState("simple.json");
+    assert.equal(handleKey(state, { sequence: "/" }, 10), true);
+    assert.equal(handleKey(state, { sequence: "q" }, 10), true);
+    assert.equal(state.query, "q");
+    handleKey(state, { name: "escape" }, 10);
+    assert.equal(handleKey(state, { sequence: "q" }, 10), false);
+  });
+
+  it("renders the screen", async () => {
+    const state = await getState("nested.json");
+    handleKey(state, { sequence: "r" }, 10);
+    const lines = renderScreen(state, 60, 8, false);
+    assert.equal(lines.length, 8);
+    assert.match(lines[0], /^Stack: Stack +7\/9$/);
+    assert.equal(lines[0].length, 60);
+    assert.ok(lines.includes("> ~   ▸ BucketToReplace AWS::S3::Bucket [replacement] [poli…"), lines.join("\n"));
+    assert.ok(lines[7].startsWith("↑↓ move"));
+  });
+
+  it("requires a terminal", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/simple.json");
+    const stream = new PassThrough();
+    await assert.rejects(
+      runInteractive(getChangeSetResult(tree), {
+        input: /** @type {any} */ (stream),
+        output: /** @type {any} */ (stream),
+      }),
+      /--interactive requires a terminal/,
+    );
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * @typedef {import('./changeset.mjs').Totals} Totals
+ */
+
+/** @type {Array<[keyof Totals, string]>} */
+export const totalLabels = [
+  ["Add", "Added"],
+  ["Modify", "Modified"],
+  ["Remove", "Removed"],
+  ["Import", "Imported"],
+  ["Dynamic", "Undetermined"],
+];
+
+/** @type {Record<string, string>} */
+export const actionIcons = {
+  Add: "+",
+  Modify: "~",
+  Remove: "-",
+  Import: "↓",
+  Dynamic: "?",
+};
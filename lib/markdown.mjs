@@ -0,0 +1,165 @@
+import { summaryCounts } from "./changeset.mjs";
+import { getDiffLines } from "./diff.mjs";
+import { escapeHtml } from "./escape.mjs";
+import { actionIcons, totalLabels } from "./labels.mjs";
+import { getPermissionFindings } from "./permissions.mjs";
+import { getStatefulChanges } from "./stateful.mjs";
+import { getStatusMessages } from "./status.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ * @typedef {import('./changeset.mjs').Totals} Totals
+ *
+ * @typedef {{
+ *   stackId?: string
+ *   totals: Totals
+ *   changes: ChangeEntry[]
+ *   stackDiff?: import('./diff.mjs').Diff
+ *   statuses?: import('./status.mjs').ChangeSetStatus[]
+ *   summary?: import('./changeset.mjs').SummaryRow[]
+ *   url?: string
+ * }} MarkdownInput
+ */
+
+/**
+ * escape the characters markdown reads as emphasis, code or links, e.g. the wildcards of `s3:*`
+ * @param {string} value
+ */
+function escapeMarkdown(value) {
+  return value.replace(/[\\`*_[\]]/g, "\\$&");
+}
+
+/**
+ * wrap the lines in a fenced code block, using a fence longer than any backtick run inside the lines
+ * @param {string[]} lines
+ * @param {string} language
+ */
+function fence(lines, language) {
+  const longestRun = Math.max(0, ...lines.flatMap((line) => (line.match(/`+/g) ?? []).map((run) => run.length)));
+  const marker = "`".repeat(Math.max(3, longestRun + 1));
+  return [`${marker}${language}`, ...lines, marker];
+}
+
+/**
+ * render the replacement and policy notes of a resource as a GitHub alert
+ * @param {ChangeEntry} entry
+ * @returns {string[]}
+ */
+function getCallout(entry) {
+  const notes = Object.entries(entry.replacementNotes);
+  if (notes.length === 0) return [];
+  let kind = "NOTE";
+  // replacements and opened network access
+  if (entry.replacement === "True" || notes.some(([, note]) => note.includes("WARNING"))) kind = "CAUTION";
+  else if (entry.replacement === "Conditional") kind = "WARNING";
+
+  const lines = [`> [!${kind}]`, `> **${entry.logicalResourceId}**`];
+  for (const [path, note] of notes) {
+    const property = path.slice(entry.logicalResourceId.length).replace(/^\//, "");
+    lines.push(property ? `> - \`${property}\`: ${note}` : `> - ${note}`);
+  }
+  return lines;
+}
+
+/**
+ * Render the change set as GitHub flavored markdown, suitable for pull request and merge request comments
+ * @param {MarkdownInput} result
+ * @param {object} [options]
+ * @param {boolean} [options.showUnchangedProperties]
+ * @param {boolean} [options.summary] count the changes per nested stack and resource type
+ * @returns {string}
+ */
+export function renderMarkdown(result, options = {}) {
+  /** @type {string[]} */
+  const lines = ["## CloudFormation Change Set", ""];
+
+  const statusMessages = getStatusMessages(result.statuses ?? []);
+  if (statusMessages.length > 0) {
+    const failed = result.statuses?.some((status) => status.status === "FAILED");
+    lines.push(`> [!${failed ? "CAUTION" : "WARNING"}]`, ...statusMessages.map((message) => `> ${message}  `), "");
+  }
+
+  const statefulChanges = getStatefulChanges(result.changes);
+  if (statefulChanges.length > 0) {
+    const dataLoss = statefulChanges.some((change) => !change.dataSurvives);
+    lines.push(
+      `> [!${dataLoss ? "CAUTION" : "WARNING"}]`,
+      "> **Stateful resources**",
+      ...statefulChanges.map((change) => `> - ${change.message}`),
+      "",
+    );
+  }
+
+  lines.push("| Change | Resources |", "| --- | ---: |");
+  for (const [action, label] of totalLabels) {
+    lines.push(`| ${label} | ${result.totals[action]} |`);
+  }
+  lines.push("");
+
+  if (options.summary && result.summary && result.summary.length > 0) {
+    lines.push(
+      "### Summary",
+      "",
+      `| Stack | Type | ${summaryCounts.join(" | ")} |`,
+      `| --- | --- |${" ---: |".repeat(summaryCounts.length)}`,
+      ...result.summary.map(
+        (row) =>
+          `| ${row.path ? `\`${row.path}\`` : "(root)"} | \`${row.resourceType}\` | ${summaryCounts.map((count) => row[count]).join(" | ")} |`,
+      ),
+      "",
+    );
+  }
+
+  const permissionFindings = getPermissionFindings(result.changes, result.stackId);
+  if (permissionFindings.length > 0) {
+    lines.push(
+      "### Permissions",
+      "",
+      ...permissionFindings.map(
+        (finding) =>
+          `- ${finding.severity === "high" ? "**High:** " : ""}${escapeMarkdown(escapeHtml(finding.message))}`,
+      ),
+      "",
+    );
+  }
+
+  const stackLines = result.stackDiff
+    ? getDiffLines(result.stackDiff, {
+        indent: 0,
+        showColor: false,
+        showUnchangedProperties: options.showUnchangedProperties ?? false,
+      })
+    : [];
+  if (stackLines.length > 0) {
+    lines.push("### Parameters and stack settings", "", ...fence(stackLines, "diff"), "");
+  }
+
+  for (const entry of result.changes) {
+    const diffLines = getDiffLines(
+      entry.diff,
+      {
+        indent: 0,
+        showColor: false,
+        showUnchangedProperties: options.showUnchangedProperties ?? false,
+      },
+      entry.replacementNotes,
+    );
+    if (diffLines.length === 0) continue;
+
+    const callout = getCallout(entry);
+    if (callout.length > 0) {
+      lines.push(...callout, "");
+    }
+    const icon = actionIcons[entry.action ?? ""] ?? " ";
+    const summary = `${icon} <code>${escapeHtml(entry.logicalResourceId)}</code> ${escapeHtml(entry.resourceType ?? "")}`;
+    lines.push("<details>", `<summary>${summary.trimEnd()}</summary>`, "");
+    lines.push(...fence(diffLines, "diff"));
+    lines.push("", "</details>", "");
+  }
+
+  if (result.url) {
+    lines.push(`[View change set in the AWS console](${result.url})`);
+  }
+
+  return lines.join("\n").trimEnd();
+}
@@ -0,0 +1,138 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { getChangeEntry } from "./changeset.mjs";
+import { buildDiff } from "./diff.mjs";
+import { renderMarkdown } from "./markdown.mjs";
+
+/** @type {import('./changeset.mjs').Totals} */
+const totals = { Add: 1, Modify: 1, Remove: 1, Import: 0, Dynamic: 0 };
+
+describe("lib/markdown.test.mjs", () => {
+  it("summary table of totals", () => {
+    const actual = renderMarkdown({ totals, changes: [] });
+    assert.ok(actual.includes("| Added | 1 |"));
+    assert.ok(actual.includes("| Modified | 1 |"));
+    assert.ok(actual.includes("| Removed | 1 |"));
+    assert.ok(actual.includes("| Imported | 0 |"));
+    assert.ok(actual.includes("| Undetermined | 0 |"));
+  });
+
+  it("resource in a collapsible diff block", () => {
+    const actual = renderMarkdown({
+      totals,
+      changes: [
+        {
+          logicalResourceId: "Stack/Bucket",
+          path: "Stack/",
+          resourceType: "AWS::S3::Bucket",
+          action: "Modify",
+          replacement: "False",
+          replacementNotes: {},
+          diff: buildDiff({ "Stack/Bucket": { BucketName: "foo" } }, { "Stack/Bucket": { BucketName: "bar" } }),
+        },
+      ],
+    });
+    const expected = [
+      "<details>",
+      "<summary>~ <code>Stack/Bucket</code> AWS::S3::Bucket</summary>",
+      "",
+      "```diff",
+      "  Stack/Bucket:",
+      '-   BucketName: "foo"',
+      '+   BucketName: "bar"',
+      "```",
+      "",
+      "</details>",
+    ].join("\n");
+    assert.ok(actual.endsWith(expected), actual);
+  });
+
+  it("replacement notes as callouts", () => {
+    const actual = renderMarkdown({
+      totals,
+      changes: [
+        {
+          logicalResourceId: "Bucket",
+          path: "",
+          resourceType: "AWS::S3::Bucket",
+          action: "Modify",
+          replacement: "True",
+          policyAction: "ReplaceAndDelete",
+          replacementNotes: {
+            Bucket: "Policy: ReplaceAndDelete",
+            "Bucket/Properties/BucketName": "WARNING: Causes Replacement!",
+          },
+          diff: buildDiff(
+            { Bucket: { Properties: { BucketName: "a" } } },
+            { Bucket: { Properties: { BucketName: "b" } } },
+          ),
+        },
+      ],
+    });
+    const expected = [
+      "> [!CAUTION]",
+      "> **Bucket**",
+      "> - Policy: ReplaceAndDelete",
+      "> - `Properties/BucketName`: WARNING: Causes Replacement!",
+    ].join("\n");
+    assert.ok(actual.includes(expected), actual);
+  });
+
+  it("unchanged resources are skipped", () => {
+    const actual = renderMarkdown({
+      totals,
+      changes: [
+        {
+          logicalResourceId: "Bucket",
+          path: "",
+          action: "Dynamic",
+          replacementNotes: {},
+          diff: buildDiff({ Bucket: { Type: "AWS::S3::Bucket" } }, { Bucket: { Type: "AWS::S3::Bucket" } }),
+        },
+      ],
+    });
+    assert.ok(!actual.includes("<details>"));
+  });
+
+  it("fence is longer than backticks in the diff", () => {
+    const actual = renderMarkdown({
+      totals,
+      changes: [
+        {
+          logicalResourceId: "Param",
+          path: "",
+          action: "Add",
+          replacementNotes: {},
+          diff: buildDiff(undefined, { Param: { Value: "```" } }),
+        },
+      ],
+    });
+    assert.ok(actual.includes("````diff\n"), actual);
+  });
+
+  it("wildcards of permission findings are escaped", () => {
+    const entry = getChangeEntry({
+      LogicalResourceId: "Role",
+      ResourceType: "AWS::IAM::Role",
+      Action: "Add",
+      AfterContext: JSON.stringify({
+        Properties: {
+          Policies: [
+            {
+              PolicyName: "Admin",
+              PolicyDocument: {
+                Version: "2012-10-17",
+                Statement: [{ Effect: "Allow", Action: ["s3:*", "iam:*"], Resource: "*" }],
+              },
+            },
+          ],
+        },
+      }),
+    });
+    const actual = renderMarkdown({ totals, changes: [entry] });
+    assert.ok(
+      actual.includes("- **High:** Role Policies.Admin.PolicyDocument: allows s3:\\*, iam:\\* on every resource (\\*)"),
+      actual,
+    );
+  });
+});
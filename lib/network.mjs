@@ -0,0 +1,104 @@
+/**
+ * CIDR ranges matching every address
+ */
+const OpenCidrs = ["0.0.0.0/0", "::/0"];
+
+/**
+ * Resource types with a `Scheme` defaulting to `internet-facing`
+ */
+const LoadBalancerTypes = ["AWS::ElasticLoadBalancing::LoadBalancer", "AWS::ElasticLoadBalancingV2::LoadBalancer"];
+
+/**
+ * Describe the traffic an ingress rule allows, e.g. `tcp 22`, `tcp 8000-8080` or `all traffic`
+ * @param {*} rule
+ * @returns {string}
+ */
+function getTrafficText(rule) {
+  const protocol = String(rule.IpProtocol ?? "-1");
+  if (protocol === "-1") return "all traffic";
+  if (rule.FromPort === undefined) return protocol;
+  const ports =
+    rule.ToPort === undefined || rule.ToPort === rule.FromPort ? rule.FromPort : `${rule.FromPort}-${rule.ToPort}`;
+  return `${protocol} ${ports}`;
+}
+
+/**
+ * Describe an ingress rule from everywhere, e.g. `0.0.0.0/0 on tcp 22`
+ * @param {*} rule a `SecurityGroupIngress` item, or the properties of a `AWS::EC2::SecurityGroupIngress`
+ * @returns {string | undefined} undefined if the rule is limited to some addresses
+ */
+function getOpenIngressText(rule) {
+  if (!rule || typeof rule !== "object") return undefined;
+  const cidr = [rule.CidrIp, rule.CidrIpv6].find((value) => OpenCidrs.includes(value));
+  return cidr && `${cidr} on ${getTrafficText(rule)}`;
+}
+
+/**
+ * @param {*} value
+ */
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * @param {*} properties
+ */
+function isInternetFacing(properties) {
+  // gateway load balancers have no scheme
+  return (properties.Scheme ?? "internet-facing") === "internet-facing" && properties.Type !== "gateway";
+}
+
+/**
+ * Find the changes opening network access to a resource: security group ingress from `0.0.0.0/0` or `::/0`,
+ * publicly accessible databases, removed S3 public access blocks and new internet-facing load balancers
+ * @param {string | undefined} resourceType
+ * @param {*} before properties before the change, undefined for added resources
+ * @param {*} after properties after the change, undefined for removed resources
+ * @returns {Record<string, string>} key: property path (`Properties/SecurityGroupIngress`), value: warning
+ */
+export function getNetworkExposureNotes(resourceType, before, after) {
+  /** @type {Record<string, string>} */
+  const notes = {};
+  if (!after || typeof after !== "object") return notes;
+  const previous = before && typeof before === "object" ? before : {};
+
+  if (resourceType === "AWS::EC2::SecurityGroup" && Array.isArray(after.SecurityGroupIngress)) {
+    /** @type {any[]} */
+    const beforeRules = Array.isArray(previous.SecurityGroupIngress) ? previous.SecurityGroupIngress : [];
+    /** @type {any[]} */
+    const afterRules = after.SecurityGroupIngress;
+    const existing = new Set(beforeRules.map((rule) => JSON.stringify(rule)));
+    const opened = afterRules
+      .filter((rule) => !existing.has(JSON.stringify(rule)))
+      .map(getOpenIngressText)
+      .filter((text) => text);
+    if (opened.length > 0) {
+      notes["Properties/SecurityGroupIngress"] = `WARNING: Opens network access from ${opened.join(", ")}`;
+    }
+  }
+  if (resourceType === "AWS::EC2::SecurityGroupIngress") {
+    const opened = getOpenIngressText(after);
+    if (opened && opened !== getOpenIngressText(previous)) {
+      const property = OpenCidrs.includes(after.CidrIp) ? "CidrIp" : "CidrIpv6";
+      notes[`Properties/${property}`] = `WARNING: Opens network access from ${opened}`;
+    }
+  }
+  // databases, e.g. AWS::RDS::DBInstance or AWS::Redshift::Cluster
+  if (isTrue(after.PubliclyAccessible) && !isTrue(previous.PubliclyAccessible)) {
+    notes["Properties/PubliclyAccessible"] = "WARNING: Opens network access, publicly accessible";
+  }
+  if (
+    resourceType === "AWS::S3::Bucket" &&
+    previous.PublicAccessBlockConfiguration &&
+    !after.PublicAccessBlockConfiguration
+  ) {
+    notes["Properties/PublicAccessBlockConfiguration"] = "WARNING: Opens network access, public access block removed";
+  }
+  if (resourceType && LoadBalancerTypes.includes(resourceType)) {
+    if (isInternetFacing(after) && !(before && isInternetFacing(before))) {
+      // the scheme defaults to internet-facing, the note is added to the resource without it
+      notes[after.Scheme ? "Properties/Scheme" : ""] = "WARNING: Opens network access, internet-facing load balancer";
+    }
+  }
+  return notes;
+}
@@ -0,0 +1,94 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { getChangeEntry } from "./changeset.mjs";
+import { getNetworkExposureNotes } from "./network.mjs";
+import { getChangeLines } from "./render.mjs";
+
+describe("lib/network.test.mjs", () => {
+  it("security group ingress from everywhere", () => {
+    const ssh = { IpProtocol: "tcp", FromPort: 22, ToPort: 22, CidrIp: "10.0.0.0/8" };
+    assert.deepEqual(
+      getNetworkExposureNotes(
+        "AWS::EC2::SecurityGroup",
+        { SecurityGroupIngress: [ssh] },
+        {
+          SecurityGroupIngress: [
+            { ...ssh, CidrIp: "0.0.0.0/0" },
+            { IpProtocol: "tcp", FromPort: 8000, ToPort: 8080, CidrIpv6: "::/0" },
+            { IpProtocol: "-1", CidrIp: "192.168.0.0/16" },
+          ],
+        },
+      ),
+      {
+        "Properties/SecurityGroupIngress":
+          "WARNING: Opens network access from 0.0.0.0/0 on tcp 22, ::/0 on tcp 8000-8080",
+      },
+    );
+    assert.deepEqual(
+      getNetworkExposureNotes("AWS::EC2::SecurityGroupIngress", undefined, { IpProtocol: -1, CidrIp: "0.0.0.0/0" }),
+      { "Properties/CidrIp": "WARNING: Opens network access from 0.0.0.0/0 on all traffic" },
+    );
+  });
+
+  it("public databases, buckets and load balancers", () => {
+    assert.deepEqual(
+      getNetworkExposureNotes("AWS::RDS::DBInstance", { PubliclyAccessible: false }, { PubliclyAccessible: "true" }),
+      { "Properties/PubliclyAccessible": "WARNING: Opens network access, publicly accessible" },
+    );
+    assert.deepEqual(
+      getNetworkExposureNotes(
+        "AWS::S3::Bucket",
+        { BucketName: "a", PublicAccessBlockConfiguration: { BlockPublicAcls: true } },
+        { BucketName: "a" },
+      ),
+      { "Properties/PublicAccessBlockConfiguration": "WARNING: Opens network access, public access block removed" },
+    );
+    assert.deepEqual(
+      getNetworkExposureNotes("AWS::ElasticLoadBalancingV2::LoadBalancer", undefined, { Type: "application" }),
+      {
+        "": "WARNING: Opens network access, internet-facing load balancer",
+      },
+    );
+    assert.deepEqual(
+      getNetworkExposureNotes("AWS::ElasticLoadBalancingV2::LoadBalancer", undefined, { Scheme: "internal" }),
+      {},
+    );
+  });
+
+  it("access that was open before is not reported", () => {
+    const ingress = [{ IpProtocol: "tcp", FromPort: 443, ToPort: 443, CidrIp: "0.0.0.0/0" }];
+    assert.deepEqual(
+      getNetworkExposureNotes(
+        "AWS::EC2::SecurityGroup",
+        { GroupDescription: "a", SecurityGroupIngress: ingress },
+        { GroupDescription: "b", SecurityGroupIngress: ingress },
+      ),
+      {},
+    );
+    assert.deepEqual(
+      getNetworkExposureNotes("AWS::RDS::DBInstance", { PubliclyAccessible: true }, { PubliclyAccessible: true }),
+      {},
+    );
+    assert.deepEqual(
+      getNetworkExposureNotes("AWS::ElasticLoadBalancing::LoadBalancer", { Subnets: ["a"] }, { Subnets: ["b"] }),
+      {},
+    );
+    assert.deepEqual(getNetworkExposureNotes("AWS::S3::Bucket", { BucketName: "a" }, undefined), {});
+  });
+
+  it("render the warnings as notes of the change", () => {
+    const entry = getChangeEntry({
+      LogicalResourceId: "Database",
+      ResourceType: "AWS::RDS::DBInstance",
+      Action: "Modify",
+      BeforeContext: JSON.stringify({ Properties: { PubliclyAccessible: false } }),
+      AfterContext: JSON.stringify({ Properties: { PubliclyAccessible: true } }),
+    });
+    assert.deepEqual(getChangeLines(entry, { showColor: false }), [
+      "  Database:",
+      "    Properties:",
+      "-     PubliclyAccessible: false # WARNING: Opens network access, publicly accessible",
+      "+     PubliclyAccessible: true # WARNING: Opens network access, publicly accessible",
+    ]);
+  });
+});
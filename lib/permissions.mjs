@@ -0,0 +1,250 @@
+import { getDiffValue } from "./diff.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ *
+ * @typedef {object} PermissionFinding a change broadening who can do what
+ * @property {string} logicalResourceId
+ * @property {string} location the policy in the resource, e.g. `Policies.S3Access` or `AssumeRolePolicyDocument`
+ * @property {"action" | "wildcard-action" | "wildcard-resource" | "statement" | "principal" | "cross-account-principal" | "public-principal"} kind
+ * @property {"high" | "medium"} severity
+ * @property {string} message
+ *
+ * @typedef {{ Sid?: string, Effect?: string, Action?: *, NotAction?: *, Resource?: *, NotResource?: *, Principal?: *, Condition?: * }} Statement
+ */
+
+/** @type {Record<PermissionFinding["kind"], PermissionFinding["severity"]>} */
+const severities = {
+  action: "medium",
+  "wildcard-action": "high",
+  "wildcard-resource": "high",
+  statement: "medium",
+  principal: "medium",
+  "cross-account-principal": "high",
+  "public-principal": "high",
+};
+
+/**
+ * @param {*} value
+ * @returns {any[]}
+ */
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Format a policy value, intrinsic functions are shown as JSON
+ * @param {*} value
+ */
+function formatValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Find the policy documents in the properties of a resource, keyed by their location.
+ * Items of policy arrays are named by their `PolicyName`, `AWS::Lambda::Permission`s become a single statement
+ * @param {string | undefined} resourceType
+ * @param {*} properties
+ * @returns {Map<string, Statement[]>}
+ */
+function getPolicyDocuments(resourceType, properties) {
+  /** @type {Map<string, Statement[]>} */
+  const documents = new Map();
+  if (!properties || typeof properties !== "object") return documents;
+  if (resourceType === "AWS::Lambda::Permission") {
+    const principal = formatValue(properties.Principal ?? "");
+    const isService = principal.endsWith(".amazonaws.com") || principal.endsWith(".amazon.com");
+    documents.set("Permission", [
+      {
+        Effect: "Allow",
+        Action: properties.Action,
+        Resource: properties.FunctionName,
+        Principal: isService ? { Service: properties.Principal } : { AWS: properties.Principal },
+        Condition: properties.SourceArn ?? properties.SourceAccount,
+      },
+    ]);
+    return documents;
+  }
+  /**
+   * @param {*} value
+   * @param {string} location
+   */
+  const visit = (value, location) => {
+    if (typeof value === "string" && value.includes("Statement")) {
+      // policies of some resources are JSON strings, e.g. AWS::Logs::ResourcePolicy
+      try {
+        visit(JSON.parse(value), location);
+      } catch {
+        // not a JSON policy
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => {
+        visit(item, `${location}.${item?.PolicyName ?? i + 1}`);
+      });
+    } else if (value && typeof value === "object") {
+      if (value.Statement) {
+        documents.set(location, toArray(value.Statement));
+        return;
+      }
+      for (const [key, property] of Object.entries(value)) {
+        visit(property, location ? `${location}.${key}` : key);
+      }
+    }
+  };
+  visit(properties, "");
+  return documents;
+}
+
+/**
+ * Get the principals of a statement, e.g. `*`, `arn:aws:iam::123456789012:root` or `lambda.amazonaws.com`
+ * @param {Statement} statement
+ * @returns {string[]}
+ */
+function getPrincipals(statement) {
+  const principal = statement.Principal;
+  if (principal === undefined) return [];
+  // `*`, or principals by type, e.g. `{ AWS: [...], Service: ... }`
+  const principals = typeof principal === "object" && principal !== null ? Object.values(principal) : [principal];
+  return principals.flatMap((value) => toArray(value).map(formatValue));
+}
+
+/**
+ * Get the account of an AWS principal, e.g. `123456789012` or `arn:aws:iam::123456789012:role/Deploy`
+ * @param {string} principal
+ * @returns {string | undefined}
+ */
+function getPrincipalAccount(principal) {
+  if (/^\d{12}$/.test(principal)) return principal;
+  return /^arn:[^:]+:(?:iam|sts)::(\d{12}):/.exec(principal)?.[1];
+}
+
+/**
+ * @param {Statement[]} statements
+ */
+function getAllowStatements(statements) {
+  return statements.filter((statement) => statement.Effect === "Allow");
+}
+
+/**
+ * Compare the statements of a policy document before and after the change
+ * @param {Statement[]} before
+ * @param {Statement[]} after
+ * @param {string | undefined} accountId the account of the stack, principals of other accounts are cross-account
+ * @returns {Array<{ kind: PermissionFinding["kind"], message: string }>}
+ */
+function comparePolicy(before, after, accountId) {
+  /** @type {Array<{ kind: PermissionFinding["kind"], message: string }>} */
+  const findings = [];
+  const beforeAllows = getAllowStatements(before);
+  const afterAllows = getAllowStatements(after);
+  const beforeStatements = new Set(beforeAllows.map((statement) => JSON.stringify(statement)));
+  const beforeSids = new Set(beforeAllows.map((statement) => statement.Sid).filter((sid) => sid));
+  // statements without a Sid can't be matched, a changed one isn't reported as added
+  const addedUnnamed =
+    afterAllows.filter((statement) => !statement.Sid).length -
+    beforeAllows.filter((statement) => !statement.Sid).length;
+  if (addedUnnamed > 0) {
+    findings.push({
+      kind: "statement",
+      message: addedUnnamed === 1 ? "adds an Allow statement" : `adds ${addedUnnamed} Allow statements`,
+    });
+  }
+
+  for (const statement of afterAllows) {
+    if (beforeStatements.has(JSON.stringify(statement))) continue;
+    if (statement.Sid && !beforeSids.has(statement.Sid)) {
+      findings.push({ kind: "statement", message: `adds an Allow statement ${statement.Sid}` });
+    }
+    const actions = toArray(statement.Action).map(formatValue);
+    if (statement.NotAction) {
+      const notActions = toArray(statement.NotAction).map(formatValue);
+      findings.push({ kind: "wildcard-action", message: `allows every action except ${notActions.join(", ")}` });
+    }
+    if (toArray(statement.Resource).includes("*")) {
+      findings.push({
+        kind: "wildcard-resource",
+        message: `allows ${actions.join(", ") || "every action"} on every resource (*)`,
+      });
+    } else if (statement.NotResource) {
+      const notResources = toArray(statement.NotResource).map(formatValue);
+      findings.push({
+        kind: "wildcard-resource",
+        message: `allows ${actions.join(", ")} on every resource except ${notResources.join(", ")}`,
+      });
+    }
+  }
+
+  const beforeActions = new Set(beforeAllows.flatMap((statement) => toArray(statement.Action).map(formatValue)));
+  const newActions = [
+    ...new Set(afterAllows.flatMap((statement) => toArray(statement.Action).map(formatValue))),
+  ].filter((action) => !beforeActions.has(action));
+  const wildcardActions = newActions.filter((action) => action.includes("*"));
+  const plainActions = newActions.filter((action) => !action.includes("*"));
+  if (wildcardActions.length > 0) {
+    findings.push({ kind: "wildcard-action", message: `allows wildcard actions ${wildcardActions.join(", ")}` });
+  }
+  if (plainActions.length > 0) {
+    findings.push({ kind: "action", message: `allows new actions ${plainActions.join(", ")}` });
+  }
+
+  const beforePrincipals = new Set(beforeAllows.flatMap(getPrincipals));
+  /** @type {Set<string>} */
+  const reported = new Set();
+  for (const statement of afterAllows) {
+    const conditions = statement.Condition ? " (with conditions)" : "";
+    for (const principal of getPrincipals(statement)) {
+      if (beforePrincipals.has(principal) || reported.has(principal)) continue;
+      reported.add(principal);
+      const account = getPrincipalAccount(principal);
+      if (principal === "*") {
+        findings.push({ kind: "public-principal", message: `grants access to everyone (*)${conditions}` });
+      } else if (account && accountId && account !== accountId) {
+        findings.push({
+          kind: "cross-account-principal",
+          message: `grants access to ${principal} of account ${account}${conditions}`,
+        });
+      } else {
+        findings.push({ kind: "principal", message: `grants access to ${principal}${conditions}` });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Analyze the added and modified policies of IAM identities and resource based policies,
+ * and report new actions, wildcards, Allow statements and principals
+ * @param {ChangeEntry[]} changes
+ * @param {string} [stackId] principals outside of the account of the stack are reported as cross-account
+ * @returns {PermissionFinding[]}
+ */
+export function getPermissionFindings(changes, stackId) {
+  const accountId = stackId?.split(":")[4];
+  /** @type {PermissionFinding[]} */
+  const findings = [];
+  for (const entry of changes) {
+    if (entry.action !== "Add" && entry.action !== "Modify") continue;
+    /**
+     * @param {"before" | "after"} side
+     */
+    const getProperties = (side) => {
+      const resources = /** @type {Record<string, Record<string, *>> | undefined} */ (getDiffValue(entry.diff, side));
+      return resources?.[entry.logicalResourceId]?.Properties;
+    };
+    const before = getPolicyDocuments(entry.resourceType, getProperties("before"));
+    const after = getPolicyDocuments(entry.resourceType, getProperties("after"));
+    for (const [location, statements] of after) {
+      for (const { kind, message } of comparePolicy(before.get(location) ?? [], statements, accountId)) {
+        findings.push({
+          logicalResourceId: entry.logicalResourceId,
+          location,
+          kind,
+          severity: severities[kind],
+          message: `${entry.logicalResourceId} ${location}: ${message}`,
+        });
+      }
+    }
+  }
+  return findings;
+}
@@ -0,0 +1,177 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { getChangeEntry } from "./changeset.mjs";
+import { getPermissionFindings } from "./permissions.mjs";
+import { renderChangeSetResult } from "./render.mjs";
+
+const stackId = "arn:aws:cloudformation:us-east-1:111111111111:stack/my-stack/abc";
+
+/**
+ * @param {string} logicalResourceId
+ * @param {string} resourceType
+ * @param {object | undefined} before properties before the change, undefined for added resources
+ * @param {object} after properties after the change
+ */
+function changeProperties(logicalResourceId, resourceType, before, after) {
+  return getChangeEntry({
+    LogicalResourceId: logicalResourceId,
+    ResourceType: resourceType,
+    Action: before ? "Modify" : "Add",
+    BeforeContext: before && JSON.stringify({ Properties: before }),
+    AfterContext: JSON.stringify({ Properties: after }),
+  });
+}
+
+/**
+ * @param {object[]} statements
+ */
+function policy(statements) {
+  return { Version: "2012-10-17", Statement: statements };
+}
+
+describe("lib/permissions.test.mjs", () => {
+  it("new actions and wildcard resources of a role policy", () => {
+    const read = { Effect: "Allow", Action: ["s3:GetObject"], Resource: "arn:aws:s3:::bucket/*" };
+    const entry = changeProperties(
+      "Role",
+      "AWS::IAM::Role",
+      { Policies: [{ PolicyName: "S3", PolicyDocument: policy([read]) }] },
+      {
+        Policies: [
+          {
+            PolicyName: "S3",
+            PolicyDocument: policy([
+              { ...read, Action: ["s3:GetObject", "s3:PutObject"] },
+              { Sid: "Logs", Effect: "Allow", Action: "logs:*", Resource: "*" },
+            ]),
+          },
+        ],
+      },
+    );
+    assert.deepEqual(
+      getPermissionFindings([entry], stackId).map((finding) => [finding.kind, finding.severity, finding.message]),
+      [
+        ["statement", "medium", "Role Policies.S3.PolicyDocument: adds an Allow statement Logs"],
+        ["wildcard-resource", "high", "Role Policies.S3.PolicyDocument: allows logs:* on every resource (*)"],
+        ["wildcard-action", "high", "Role Policies.S3.PolicyDocument: allows wildcard actions logs:*"],
+        ["action", "medium", "Role Policies.S3.PolicyDocument: allows new actions s3:PutObject"],
+      ],
+    );
+  });
+
+  it("new principals of a resource based policy", () => {
+    const entry = changeProperties(
+      "BucketPolicy",
+      "AWS::S3::BucketPolicy",
+      {
+        PolicyDocument: policy([
+          { Effect: "Allow", Principal: { AWS: "arn:aws:iam::111111111111:root" }, Action: "s3:GetObject" },
+        ]),
+      },
+      {
+        PolicyDocument: policy([
+          {
+            Effect: "Allow",
+            Principal: { AWS: ["arn:aws:iam::111111111111:root", "222222222222"], Service: "logs.amazonaws.com" },
+            Action: "s3:GetObject",
+          },
+          {
+            Effect: "Allow",
+            Principal: "*",
+            Action: "s3:GetObject",
+            Condition: { Bool: { "aws:SecureTransport": true } },
+          },
+          { Effect: "Deny", Principal: "*", Action: "s3:DeleteObject" },
+        ]),
+      },
+    );
+    const findings = getPermissionFindings([entry], stackId).filter((finding) => finding.kind.endsWith("principal"));
+    assert.deepEqual(
+      findings.map((finding) => [finding.kind, finding.message]),
+      [
+        [
+          "cross-account-principal",
+          "BucketPolicy PolicyDocument: grants access to 222222222222 of account 222222222222",
+        ],
+        ["principal", "BucketPolicy PolicyDocument: grants access to logs.amazonaws.com"],
+        ["public-principal", "BucketPolicy PolicyDocument: grants access to everyone (*) (with conditions)"],
+      ],
+    );
+  });
+
+  it("lambda permissions and new trust policies", () => {
+    const findings = getPermissionFindings(
+      [
+        changeProperties("Permission", "AWS::Lambda::Permission", undefined, {
+          Action: "lambda:InvokeFunction",
+          FunctionName: "fn",
+          Principal: "333333333333",
+        }),
+        changeProperties("Role", "AWS::IAM::Role", undefined, {
+          AssumeRolePolicyDocument: policy([
+            { Effect: "Allow", Principal: { Service: "lambda.amazonaws.com" }, Action: "sts:AssumeRole" },
+          ]),
+        }),
+      ],
+      stackId,
+    );
+    assert.ok(
+      findings.some(
+        (finding) => finding.message === "Permission Permission: grants access to 333333333333 of account 333333333333",
+      ),
+    );
+    assert.ok(
+      findings.some(
+        (finding) => finding.message === "Role AssumeRolePolicyDocument: grants access to lambda.amazonaws.com",
+      ),
+    );
+  });
+
+  it("narrowed and unchanged policies are not reported", () => {
+    const statement = { Effect: "Allow", Action: ["s3:GetObject", "s3:PutObject"], Resource: "*" };
+    const findings = getPermissionFindings(
+      [
+        changeProperties(
+          "Policy",
+          "AWS::IAM::ManagedPolicy",
+          { PolicyDocument: policy([statement]) },
+          { PolicyDocument: policy([statement]), Description: "changed" },
+        ),
+        changeProperties(
+          "Narrowed",
+          "AWS::IAM::ManagedPolicy",
+          { PolicyDocument: policy([statement]) },
+          { PolicyDocument: policy([{ ...statement, Action: ["s3:GetObject"], Resource: "arn:aws:s3:::bucket/*" }]) },
+        ),
+      ],
+      stackId,
+    );
+    assert.deepEqual(findings, []);
+  });
+
+  it("render a permissions section", () => {
+    const entry = changeProperties("Role", "AWS::IAM::Role", undefined, {
+      Policies: [{ PolicyName: "Admin", PolicyDocument: policy([{ Effect: "Allow", Action: "*", Resource: "*" }]) }],
+    });
+    const actual = renderChangeSetResult(
+      {
+        changeSetId: "arn:aws:cloudformation:us-east-1:111111111111:changeSet/cs/abc",
+        stackId,
+        totals: { Add: 1, Modify: 0, Remove: 0, Import: 0, Dynamic: 0 },
+        changes: [entry],
+        allChanges: [entry],
+        statuses: [],
+        summary: [],
+      },
+      { showColor: false },
+    );
+    const expected = [
+      "===== Permissions =====",
+      "Role Policies.Admin.PolicyDocument: adds an Allow statement",
+      "Role Policies.Admin.PolicyDocument: allows * on every resource (*)",
+      "Role Policies.Admin.PolicyDocument: allows wildcard actions *",
+      "",
+    ].join("\n");
+    assert.ok(actual.startsWith(expected), actual);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @typedef {object} RequestQueue
+ * @property {<T>(task: () => Promise<T>) => Promise<T>} run run a task once fewer than `concurrency` tasks are running
+ * @property {(delay: number) => void} backoff pause every request for at least `delay` milliseconds
+ * @property {() => Promise<void>} waitForBackoff resolves once the current backoff has passed
+ */
+
+/**
+ * Create a queue limiting how many requests run at once.
+ * When one request is throttled, the backoff applies to every request sharing the queue
+ * @param {number} concurrency
+ * @returns {RequestQueue}
+ */
+export function createRequestQueue(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Concurrency must be a positive integer, got ${concurrency}`);
+  }
+  let running = 0;
+  /** @type {Array<() => void>} */
+  const waiting = [];
+  let pausedUntil = 0;
+
+  return {
+    async run(task) {
+      if (running >= concurrency) {
+        // the finishing task hands its slot over, so `running` stays the same
+        await new Promise((resolve) => waiting.push(() => resolve(undefined)));
+      } else {
+        running++;
+      }
+      try {
+        return await task();
+      } finally {
+        const next = waiting.shift();
+        if (next) next();
+        else running--;
+      }
+    },
+    backoff(delay) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    },
+    async waitForBackoff() {
+      while (Date.now() < pausedUntil) {
+        await new Promise((resolve) => setTimeout(resolve, pausedUntil - Date.now()));
+      }
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { createRequestQueue } from "./queue.mjs";
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("lib/queue.test.mjs", () => {
+  it("limits concurrency", async () => {
+    const queue = createRequestQueue(2);
+    let running = 0;
+    let maxRunning = 0;
+    const results = await Promise.all(
+      [5, 1, 3, 2, 4].map((value) =>
+        queue.run(async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await sleep(value);
+          running--;
+          return value;
+        }),
+      ),
+    );
+    assert.equal(maxRunning, 2);
+    assert.deepEqual(results, [5, 1, 3, 2, 4]);
+  });
+
+  it("releases the slot of failed tasks", async () => {
+    const queue = createRequestQueue(1);
+    await assert.rejects(
+      queue.run(async () => {
+        throw new Error("failed");
+      }),
+      /failed/,
+    );
+    assert.equal(await queue.run(async () => "ok"), "ok");
+  });
+
+  it("shares the backoff", async () => {
+    const queue = createRequestQueue(2);
+    const start = Date.now();
+    queue.backoff(30);
+    queue.backoff(10);
+    await queue.waitForBackoff();
+    assert.ok(Date.now() - start >= 29);
+  });
+
+  it("invalid concurrency", () => {
+    assert.throws(() => createRequestQueue(0), /Concurrency must be a positive integer/);
+    assert.throws(() => createRequestQueue(1.5), /Concurrency must be a positive integer/);
+  });
+});
@@ -0,0 +1,229 @@
+import querystring from "node:querystring";
+import { PolicyAction } from "@aws-sdk/client-cloudformation";
+import chalk from "chalk";
+import { getChangeSetResult, summaryCounts } from "./changeset.mjs";
+import { getDiffLines, getSideBySideLines } from "./diff.mjs";
+import { renderHtml } from "./html.mjs";
+import { renderMarkdown } from "./markdown.mjs";
+import { getPermissionFindings } from "./permissions.mjs";
+import { getStatefulChanges } from "./stateful.mjs";
+import { getStatusMessages } from "./status.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ * @typedef {import('./changeset.mjs').ChangeSetResult} ChangeSetResult
+ * @typedef {import('./changeset.mjs').ChangeSetTree} ChangeSetTree
+ *
+ * @typedef {"text" | "json" | "markdown" | "html"} OutputFormat
+ *
+ * @typedef {object} RenderOptions
+ * @property {OutputFormat} [output] defaults to `text`
+ * @property {boolean} [showColor] color `text` output, defaults to true
+ * @property {boolean} [showUnchangedProperties]
+ * @property {import('./diff.mjs').Layout} [layout] layout of the `text` diffs, defaults to `unified`
+ * @property {number} [width] the total width of the `side-by-side` layout, defaults to 160
+ * @property {import('./filter.mjs').ChangeFilter} [filter] only matching resources are rendered and counted
+ * @property {import('./arrays.mjs').ArrayKeys} [arrayKeys] properties identifying the items of arrays, defaults to `DefaultArrayKeys`
+ * @property {string[]} [setProperties] paths of arrays compared as sets, defaults to `DefaultSetProperties`
+ * @property {boolean} [summary] count the changes per nested stack and resource type, for `text` and `markdown`
+ */
+
+/** @type {Record<PolicyAction, chalk.Chalk>} */
+const PolicyActionMap = {
+  Delete: chalk.redBright,
+  Retain: chalk.yellowBright,
+  ReplaceAndDelete: chalk.redBright,
+  ReplaceAndRetain: chalk.yellowBright,
+  ReplaceAndSnapshot: chalk.greenBright,
+  Snapshot: chalk.greenBright,
+};
+
+/**
+ * Render the diff of a single resource change as colored text lines
+ * @param {ChangeEntry} entry
+ * @param {object} [options]
+ * @param {boolean} [options.showUnchangedProperties]
+ * @param {boolean} [options.showColor]
+ * @param {import('./diff.mjs').Layout} [options.layout]
+ * @param {number} [options.width]
+ * @returns {string[]}
+ */
+export function getChangeLines(entry, options = {}) {
+  const showColor = options.showColor ?? true;
+  const logOptions = {
+    indent: 0,
+    showUnchangedProperties: options.showUnchangedProperties ?? false,
+    showColor,
+    colorOverride: entry.action === "Import" ? chalk.cyan : undefined,
+    iconOverride: entry.action === "Import" ? "↓" : undefined,
+  };
+  if (options.layout === "side-by-side") {
+    // columns are padded before they are colored, so the notes must not contain color codes
+    return getSideBySideLines(entry.diff, { ...logOptions, width: options.width }, entry.replacementNotes);
+  }
+  const replacementNotes = { ...entry.replacementNotes };
+  if (entry.policyAction && showColor) {
+    replacementNotes[entry.logicalResourceId] = PolicyActionMap[entry.policyAction](
+      replacementNotes[entry.logicalResourceId],
+    );
+  }
+  return getDiffLines(entry.diff, logOptions, replacementNotes);
+}
+
+/**
+ * Get the diff lines of the parameters and settings of the stack
+ * @param {ChangeSetResult} result
+ * @param {RenderOptions} options
+ * @returns {string[]}
+ */
+function getStackLines(result, options) {
+  if (!result.stackDiff) return [];
+  const logOptions = {
+    indent: 0,
+    showUnchangedProperties: options.showUnchangedProperties ?? false,
+    showColor: options.showColor ?? true,
+  };
+  if (options.layout === "side-by-side") {
+    return getSideBySideLines(result.stackDiff, { ...logOptions, width: options.width });
+  }
+  return getDiffLines(result.stackDiff, logOptions);
+}
+
+/**
+ * Get the changes counted per nested stack and resource type as an aligned table
+ * @param {ChangeSetResult} result
+ * @returns {string[]}
+ */
+export function getSummaryLines(result) {
+  const rows = [
+    ["Stack", "Type", ...summaryCounts],
+    ...result.summary.map((row) => [
+      row.path || "(root)",
+      row.resourceType,
+      ...summaryCounts.map((count) => String(row[count])),
+    ]),
+  ];
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+  // stack and type are aligned left, the counts right
+  return rows.map((row) =>
+    row
+      .map((cell, i) => (i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+      .join("  ")
+      .trimEnd(),
+  );
+}
+
+/**
+ * Link to the change set in the AWS console
+ * @param {string} stackId
+ * @param {string} changeSetId
+ */
+export function getConsoleUrl(stackId, changeSetId) {
+  const region = stackId.split(":")[3];
+  const qs = querystring.stringify({
+    stackId,
+    changeSetId,
+    region,
+  });
+  return `https://${region}.console.aws.amazon.com/cloudformation/home?${qs}#/stacks/changesets/changes?${qs}`;
+}
+
+/**
+ * Render an already flattened change set result
+ * @param {ChangeSetResult} result
+ * @param {RenderOptions} [options]
+ * @returns {string}
+ */
+export function renderChangeSetResult(result, options = {}) {
+  const url = getConsoleUrl(result.stackId, result.changeSetId);
+  if (options.output === "json") {
+    return JSON.stringify(
+      {
+        ...result,
+        // the filtered out changes are only kept to check the --fail-on rules
+        allChanges: undefined,
+        statefulChanges: getStatefulChanges(result.changes),
+        permissionFindings: getPermissionFindings(result.changes, result.stackId),
+        url,
+      },
+      null,
+      2,
+    );
+  }
+  if (options.output === "markdown") {
+    return renderMarkdown(
+      { ...result, url },
+      { showUnchangedProperties: options.showUnchangedProperties, summary: options.summary },
+    );
+  }
+  if (options.output === "html") {
+    return renderHtml({ ...result, url }, { showUnchangedProperties: options.showUnchangedProperties });
+  }
+
+  /** @type {string[]} */
+  const lines = [];
+  const statusMessages = getStatusMessages(result.statuses);
+  if (statusMessages.length > 0) {
+    const failed = result.statuses.some((status) => status.status === "FAILED");
+    const color = failed ? chalk.bold.red : chalk.bold.yellow;
+    lines.push("===== Status =====");
+    lines.push(...statusMessages.map((message) => ((options.showColor ?? true) ? color(message) : message)), "");
+  }
+  const statefulChanges = getStatefulChanges(result.changes);
+  if (statefulChanges.length > 0) {
+    lines.push("===== Stateful Resources =====");
+    for (const change of statefulChanges) {
+      const color = change.dataSurvives ? chalk.yellow : chalk.bold.red;
+      lines.push((options.showColor ?? true) ? color(change.message) : change.message);
+    }
+    lines.push("");
+  }
+  const permissionFindings = getPermissionFindings(result.changes, result.stackId);
+  if (permissionFindings.length > 0) {
+    lines.push("===== Permissions =====");
+    for (const finding of permissionFindings) {
+      const color = finding.severity === "high" ? chalk.bold.red : chalk.yellow;
+      lines.push((options.showColor ?? true) ? color(finding.message) : finding.message);
+    }
+    lines.push("");
+  }
+  const stackLines = getStackLines(result, options);
+  if (stackLines.length > 0) {
+    lines.push("===== Stack =====", ...stackLines, "");
+  }
+  for (const entry of result.changes) {
+    const diffStrings = getChangeLines(entry, options);
+    if (diffStrings.length > 0) {
+      lines.push(...diffStrings, "");
+    }
+  }
+  if (options.summary && result.summary.length > 0) {
+    lines.push("===== Summary =====", ...getSummaryLines(result), "");
+  }
+  lines.push("===== Results =====");
+  lines.push(`${result.totals.Add} resources added`);
+  lines.push(`${result.totals.Modify} resources modified`);
+  lines.push(`${result.totals.Remove} resources removed`);
+  lines.push(`${result.totals.Import} resources imported`);
+  lines.push(`${result.totals.Dynamic} undetermined resources`);
+  lines.push("");
+  lines.push(url);
+  return lines.join("\n");
+}
+
+/**
+ * Render a change set tree as text, JSON, markdown or HTML
+ * @param {ChangeSetTree} tree
+ * @param {RenderOptions} [options]
+ * @returns {string}
+ */
+export function renderChangeSet(tree, options = {}) {
+  return renderChangeSetResult(
+    getChangeSetResult(tree, {
+      filter: options.filter,
+      arrayKeys: options.arrayKeys,
+      setProperties: options.setProperties,
+    }),
+    options,
+  );
+}
@@ -0,0 +1,83 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { CloudFormation } from "@aws-sdk/client-cloudformation";
+import { describeChangeSetTree } from "./changeset.mjs";
+import { renderChangeSet } from "./render.mjs";
+
+describe("lib/render.test.mjs", () => {
+  const cfn = new CloudFormation({ region: "us-east-1" });
+
+  it("text", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/simple.json");
+    const actual = renderChangeSet(tree, { showColor: false });
+    const expected = [
+      "+ OtherBucket:",
+      '+   Type: "AWS::S3::Bucket"',
+      "+   Properties: {}",
+      "",
+      "===== Results =====",
+      "1 resources added",
+      "0 resources modified",
+      "0 resources removed",
+      "0 resources imported",
+      "0 undetermined resources",
+      "",
+    ].join("\n");
+    assert.ok(actual.startsWith(expected), actual);
+  });
+
+  it("json", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/simple.json");
+    const actual = JSON.parse(renderChangeSet(tree, { output: "json" }));
+    assert.deepEqual(actual.totals, { Add: 1, Modify: 0, Remove: 0, Import: 0, Dynamic: 0 });
+    assert.equal(actual.changes[0].logicalResourceId, "OtherBucket");
+    assert.equal(actual.changes[0].diff.node.properties.OtherBucket.action, "Add");
+    assert.ok(actual.url.startsWith("https://us-east-2.console.aws.amazon.com/cloudformation/home?"));
+  });
+  it("parameters and stack settings", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/parameters.json");
+    const actual = renderChangeSet(tree, { showColor: false });
+    const expected = [
+      "===== Stack =====",
+      "  Parameters:",
+      '-   Memory: "128"',
+      '+   Memory: "512"',
+      '-   AmiId: "ami-05fa00d4c63e32376"',
+      '+   AmiId: "ami-0b2f6494ff0b07a0e"',
+      "  NotificationARNs:",
+      '+   - "arn:aws:sns:us-east-2:999999999999:deployments"',
+      "",
+      "  Function:",
+    ].join("\n");
+    assert.ok(actual.startsWith(expected), actual);
+  });
+  it("summary per nested stack and resource type", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const actual = renderChangeSet(tree, { showColor: false, summary: true });
+    const expected = [
+      "===== Summary =====",
+      "Stack   Type                        Add  Modify  Remove  Import  Dynamic  Replacement",
+      "(root)  AWS::CloudFormation::Stack    0       1       0       0        0            0",
+      "Stack/  AWS::S3::Bucket               2       2       2       0        0            1",
+      "",
+      "===== Results =====",
+    ].join("\n");
+    assert.ok(actual.includes(expected), actual);
+    assert.ok(!renderChangeSet(tree, { showColor: false }).includes("===== Summary ====="));
+    const markdown = renderChangeSet(tree, { output: "markdown", summary: true });
+    assert.ok(markdown.includes("| `Stack/` | `AWS::S3::Bucket` | 2 | 2 | 2 | 0 | 0 | 1 |"), markdown);
+  });
+  it("failed change set status", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/failed.json");
+    const actual = renderChangeSet(tree, { showColor: false });
+    const expected = [
+      "===== Status =====",
+      "Change set FAILED: The submitted information didn't contain changes. Submit different information to create a change set.",
+      "",
+      "===== Results =====",
+    ].join("\n");
+    assert.ok(actual.startsWith(expected), actual);
+    const markdown = renderChangeSet(tree, { output: "markdown" });
+    assert.ok(markdown.includes("> [!CAUTION]\n> Change set FAILED: The submitted information"), markdown);
+  });
+});
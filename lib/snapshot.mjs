@@ -0,0 +1,56 @@
+import { writeFileSync } from "node:fs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeSetTree} ChangeSetTree
+ * @typedef {import('@aws-sdk/client-cloudformation').DescribeChangeSetOutput} DescribeChangeSetOutput
+ *
+ * @typedef {DescribeChangeSetOutput & {
+ *   NestedChangeSets?: Record<string, DescribeChangeSetOutput>
+ *   Stack?: import('@aws-sdk/client-cloudformation').Stack
+ * }} Snapshot the root change set, with every nested change set keyed by its nested stack path (`NestedStack/Inner`),
+ * and the stack as it was before the change set
+ */
+
+/**
+ * Bundle a change set tree into a single snapshot.
+ * The `ChangeSetId` of nested stack resources is rewritten to `#NestedStack/Inner`,
+ * which the `file://` loader resolves to the matching entry of `NestedChangeSets`
+ * @param {ChangeSetTree} tree
+ * @returns {Snapshot}
+ */
+export function createSnapshot(tree) {
+  /** @type {Record<string, DescribeChangeSetOutput>} */
+  const nestedChangeSets = {};
+
+  /**
+   * @param {ChangeSetTree} current
+   * @param {string} path
+   * @returns {DescribeChangeSetOutput}
+   */
+  function bundle(current, path) {
+    const changes = (current.response.Changes ?? []).map((change) => {
+      const logicalId = change.ResourceChange?.LogicalResourceId ?? "";
+      const nestedTree = current.nestedChangeSets[logicalId];
+      if (!change.ResourceChange || !nestedTree) return change;
+
+      const nestedPath = `${path}${logicalId}`;
+      // reserve the key so parents are listed before their children
+      nestedChangeSets[nestedPath] = {};
+      nestedChangeSets[nestedPath] = bundle(nestedTree, `${nestedPath}/`);
+      return { ...change, ResourceChange: { ...change.ResourceChange, ChangeSetId: `#${nestedPath}` } };
+    });
+    return { ...current.response, Changes: changes };
+  }
+
+  const root = bundle(tree, "");
+  return { ...root, NestedChangeSets: nestedChangeSets, ...(tree.stack && { Stack: tree.stack }) };
+}
+
+/**
+ * Write a change set tree to a snapshot file, which can be read back with `--change-set-name file://<path>`
+ * @param {ChangeSetTree} tree
+ * @param {string} path
+ */
+export function saveSnapshot(tree, path) {
+  writeFileSync(path, `${JSON.stringify(createSnapshot(tree), null, 2)}\n`);
+}
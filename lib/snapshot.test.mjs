@@ -0,0 +1,57 @@
+import { strict as assert } from "node:assert";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { CloudFormation } from "@aws-sdk/client-cloudformation";
+import { describeChangeSetTree, getChangeSetResult } from "./changeset.mjs";
+import { createSnapshot, saveSnapshot } from "./snapshot.mjs";
+
+describe("lib/snapshot.test.mjs", () => {
+  const cfn = new CloudFormation({ region: "us-east-1" });
+  const dir = mkdtempSync(join(tmpdir(), "cfn-changeset-viewer-"));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("bundles nested change sets", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const snapshot = createSnapshot(tree);
+    assert.equal(snapshot.ChangeSetId, tree.changeSetId);
+    assert.equal(snapshot.Changes?.[0].ResourceChange?.ChangeSetId, "#Stack");
+    assert.deepEqual(Object.keys(snapshot.NestedChangeSets ?? {}), ["Stack"]);
+    assert.equal(snapshot.NestedChangeSets?.Stack.ChangeSetId, tree.nestedChangeSets.Stack.changeSetId);
+    // the tree itself is left untouched
+    assert.equal(tree.changes[0].ResourceChange?.ChangeSetId, "file://examples/nested.nested.json");
+  });
+
+  it("reads a saved snapshot back", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const path = join(dir, "snapshot.json");
+    saveSnapshot(tree, path);
+
+    const restored = await describeChangeSetTree(cfn, `file://${path}`);
+    assert.equal(restored.changeSetId, tree.changeSetId);
+    assert.equal(restored.nestedChangeSets.Stack.changeSetId, tree.nestedChangeSets.Stack.changeSetId);
+
+    const expected = getChangeSetResult(tree);
+    const actual = getChangeSetResult(restored);
+    assert.deepEqual(actual.totals, expected.totals);
+    assert.deepEqual(
+      actual.changes.map((entry) => [entry.logicalResourceId, entry.diff]),
+      expected.changes.map((entry) => [entry.logicalResourceId, entry.diff]),
+    );
+  });
+
+  it("missing nested change set", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const path = join(dir, "snapshot.json");
+    saveSnapshot(tree, path);
+    await assert.rejects(describeChangeSetTree(cfn, `file://${path}#Missing`), /Nested change set Missing not found/);
+  });
+  it("includes the current stack", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/parameters.json");
+    const path = join(dir, "parameters.json");
+    saveSnapshot(tree, path);
+    const restored = await describeChangeSetTree(cfn, `file://${path}`);
+    assert.deepEqual(restored.stack, tree.stack);
+  });
+});
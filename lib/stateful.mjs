@@ -0,0 +1,126 @@
+import { getDiffValue } from "./diff.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').ChangeEntry} ChangeEntry
+ *
+ * @typedef {object} StatefulChange a stateful resource that is removed or (possibly) replaced
+ * @property {string} logicalResourceId
+ * @property {string} resourceType
+ * @property {"remove" | "replacement" | "conditional-replacement"} change
+ * @property {string} policy the effective `DeletionPolicy` (removals) or `UpdateReplacePolicy` (replacements)
+ * @property {boolean} dataSurvives whether the data is retained or snapshotted
+ * @property {string} message
+ * @property {string} [mismatch] set if the `PolicyAction` of the change set doesn't match the policy in the template
+ */
+
+/**
+ * Resource types holding data that is lost when the resource is deleted
+ * @type {string[]}
+ */
+export const StatefulResourceTypes = [
+  "AWS::Backup::BackupVault",
+  "AWS::Cognito::UserPool",
+  "AWS::DocDB::DBCluster",
+  "AWS::DynamoDB::GlobalTable",
+  "AWS::DynamoDB::Table",
+  "AWS::EC2::Volume",
+  "AWS::ECR::Repository",
+  "AWS::EFS::FileSystem",
+  "AWS::ElastiCache::CacheCluster",
+  "AWS::ElastiCache::ReplicationGroup",
+  "AWS::Elasticsearch::Domain",
+  "AWS::FSx::FileSystem",
+  "AWS::Kinesis::Stream",
+  "AWS::KMS::Key",
+  "AWS::Logs::LogGroup",
+  "AWS::Neptune::DBCluster",
+  "AWS::OpenSearchService::Domain",
+  "AWS::RDS::DBCluster",
+  "AWS::RDS::DBInstance",
+  "AWS::Redshift::Cluster",
+  "AWS::S3::Bucket",
+  "AWS::SecretsManager::Secret",
+  "AWS::SQS::Queue",
+];
+
+/** @type {Record<StatefulChange['change'], string>} */
+const changeVerbs = {
+  remove: "is removed",
+  replacement: "is replaced",
+  "conditional-replacement": "may be replaced",
+};
+
+/** @type {Record<string, string>} */
+const policyMessages = {
+  Delete: "the data is deleted",
+  Retain: "the data is retained",
+  RetainExceptOnCreate: "the data is retained",
+  Snapshot: "a snapshot is taken before it is deleted",
+};
+
+/**
+ * Get the policy of a removed or replaced resource in the template, or CloudFormation's default for it.
+ * Removals use the `DeletionPolicy` of the current template, replacements the `UpdateReplacePolicy` of the new one
+ * @param {ChangeEntry} entry
+ * @param {"DeletionPolicy" | "UpdateReplacePolicy"} name
+ * @returns {string}
+ */
+function getTemplatePolicy(entry, name) {
+  const side = name === "DeletionPolicy" ? "before" : "after";
+  const resources = /** @type {Record<string, Record<string, *>> | undefined} */ (getDiffValue(entry.diff, side));
+  const resource = resources?.[entry.logicalResourceId] ?? {};
+  if (typeof resource[name] === "string") return resource[name];
+  // database clusters, and database instances outside of a cluster, are snapshotted by default when they are removed
+  const isRdsDefault =
+    entry.resourceType === "AWS::RDS::DBCluster" ||
+    (entry.resourceType === "AWS::RDS::DBInstance" && !resource.Properties?.DBClusterIdentifier);
+  return name === "DeletionPolicy" && isRdsDefault ? "Snapshot" : "Delete";
+}
+
+/**
+ * Find the stateful resources that are removed or (possibly) replaced, and whether their data survives, data losses first.
+ * The `PolicyAction` of the change set wins over the policy in the template, a mismatch is added to the message
+ * @param {ChangeEntry[]} changes
+ * @param {string[]} [resourceTypes] defaults to `StatefulResourceTypes`
+ * @returns {StatefulChange[]}
+ */
+export function getStatefulChanges(changes, resourceTypes = StatefulResourceTypes) {
+  /** @type {StatefulChange[]} */
+  const statefulChanges = [];
+  for (const entry of changes) {
+    if (!entry.resourceType || !resourceTypes.includes(entry.resourceType)) continue;
+
+    /** @type {StatefulChange['change']} */
+    let change;
+    if (entry.action === "Remove") change = "remove";
+    else if (entry.action === "Modify" && entry.replacement === "True") change = "replacement";
+    else if (entry.action === "Modify" && entry.replacement === "Conditional") change = "conditional-replacement";
+    else continue;
+
+    const policyName = change === "remove" ? "DeletionPolicy" : "UpdateReplacePolicy";
+    const templatePolicy = getTemplatePolicy(entry, policyName);
+    // the policy actions of replacements are ReplaceAndDelete, ReplaceAndRetain or ReplaceAndSnapshot
+    const policyActionPolicy = entry.policyAction?.replace(/^ReplaceAnd/, "");
+    const policy = policyActionPolicy ?? templatePolicy;
+
+    const type = entry.resourceType.split("::").pop();
+    const verb = changeVerbs[change];
+    /** @type {StatefulChange} */
+    const statefulChange = {
+      logicalResourceId: entry.logicalResourceId,
+      resourceType: entry.resourceType,
+      change,
+      policy,
+      dataSurvives: policy !== "Delete",
+      message: `${entry.logicalResourceId} (${type}) ${verb}, ${policyName} ${policy}: ${policyMessages[policy] ?? "unknown policy"}`,
+    };
+    // RetainExceptOnCreate only differs from Retain when the stack is created
+    if (policyActionPolicy && policyActionPolicy !== templatePolicy.replace("RetainExceptOnCreate", "Retain")) {
+      statefulChange.mismatch = `PolicyAction ${entry.policyAction} doesn't match the ${policyName} ${templatePolicy} of the template`;
+      statefulChange.message += ` (${statefulChange.mismatch})`;
+    }
+    statefulChanges.push(statefulChange);
+  }
+  // the ones losing data first
+  return statefulChanges.sort((a, b) => Number(a.dataSurvives) - Number(b.dataSurvives));
+}
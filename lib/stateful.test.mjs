@@ -0,0 +1,112 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { CloudFormation } from "@aws-sdk/client-cloudformation";
+import { describeChangeSetTree, getChangeEntry, getChangeSetResult } from "./changeset.mjs";
+import { renderChangeSet } from "./render.mjs";
+import { getStatefulChanges } from "./stateful.mjs";
+
+describe("lib/stateful.test.mjs", () => {
+  const cfn = new CloudFormation({ region: "us-east-1" });
+
+  it("removed and replaced stateful resources", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/deletion-policies.json");
+    const actual = getStatefulChanges(getChangeSetResult(tree).changes);
+    assert.deepEqual(
+      actual.map((change) => [change.logicalResourceId, change.change, change.policy, change.dataSurvives]),
+      [
+        ["BucketToRemove", "remove", "Retain", true],
+        ["BucketToReplace", "replacement", "Retain", true],
+      ],
+    );
+  });
+
+  it("data losses first", async () => {
+    const tree = await describeChangeSetTree(cfn, "file://examples/nested.json");
+    const actual = renderChangeSet(tree, { showColor: false });
+    const expected = [
+      "===== Stateful Resources =====",
+      "Stack/BucketToRemove (Bucket) is removed, DeletionPolicy Delete: the data is deleted",
+      "Stack/BucketToReplace (Bucket) is replaced, UpdateReplacePolicy Delete: the data is deleted",
+      "",
+    ].join("\n");
+    assert.ok(actual.startsWith(expected), actual);
+    const markdown = renderChangeSet(tree, { output: "markdown" });
+    assert.ok(markdown.includes("> [!CAUTION]\n> **Stateful resources**\n> - Stack/BucketToRemove"), markdown);
+  });
+
+  it("default policies from the template", () => {
+    // sorted by data loss: the cluster instance, then the table and database
+    const [clusterInstance, table, database] = getStatefulChanges([
+      getChangeEntry({
+        LogicalResourceId: "Table",
+        ResourceType: "AWS::DynamoDB::Table",
+        Action: "Modify",
+        Replacement: "Conditional",
+        BeforeContext: JSON.stringify({ Properties: { TableName: "a" }, UpdateReplacePolicy: "Snapshot" }),
+        AfterContext: JSON.stringify({ Properties: { TableName: "b" }, UpdateReplacePolicy: "Snapshot" }),
+      }),
+      getChangeEntry({
+        LogicalResourceId: "Database",
+        ResourceType: "AWS::RDS::DBInstance",
+        Action: "Remove",
+        BeforeContext: JSON.stringify({ Properties: { Engine: "postgres" } }),
+      }),
+      getChangeEntry({
+        LogicalResourceId: "ClusterInstance",
+        ResourceType: "AWS::RDS::DBInstance",
+        Action: "Remove",
+        BeforeContext: JSON.stringify({ Properties: { DBClusterIdentifier: "cluster" } }),
+      }),
+    ]);
+    assert.equal(
+      table.message,
+      "Table (Table) may be replaced, UpdateReplacePolicy Snapshot: a snapshot is taken before it is deleted",
+    );
+    assert.equal(database.policy, "Snapshot");
+    assert.equal(clusterInstance.policy, "Delete");
+    assert.equal(clusterInstance.dataSurvives, false);
+  });
+
+  it("policy actions win over the template", () => {
+    const [bucket] = getStatefulChanges([
+      getChangeEntry({
+        LogicalResourceId: "Bucket",
+        ResourceType: "AWS::S3::Bucket",
+        Action: "Remove",
+        PolicyAction: "Delete",
+        BeforeContext: JSON.stringify({ Properties: {}, DeletionPolicy: "Retain" }),
+      }),
+    ]);
+    assert.equal(bucket.dataSurvives, false);
+    assert.equal(bucket.mismatch, "PolicyAction Delete doesn't match the DeletionPolicy Retain of the template");
+  });
+
+  it("replacements use the policy of the new template", () => {
+    const [bucket] = getStatefulChanges([
+      getChangeEntry({
+        LogicalResourceId: "Bucket",
+        ResourceType: "AWS::S3::Bucket",
+        Action: "Modify",
+        Replacement: "True",
+        BeforeContext: JSON.stringify({ Properties: { BucketName: "a" }, UpdateReplacePolicy: "Delete" }),
+        AfterContext: JSON.stringify({ Properties: { BucketName: "b" }, UpdateReplacePolicy: "Retain" }),
+      }),
+    ]);
+    assert.equal(bucket.policy, "Retain");
+    assert.equal(bucket.dataSurvives, true);
+    assert.equal(bucket.message, "Bucket (Bucket) is replaced, UpdateReplacePolicy Retain: the data is retained");
+  });
+
+  it("stateless and modified resources are ignored", () => {
+    const actual = getStatefulChanges([
+      getChangeEntry({ LogicalResourceId: "Function", ResourceType: "AWS::Lambda::Function", Action: "Remove" }),
+      getChangeEntry({
+        LogicalResourceId: "Bucket",
+        ResourceType: "AWS::S3::Bucket",
+        Action: "Modify",
+        Replacement: "False",
+      }),
+    ]);
+    assert.deepEqual(actual, []);
+  });
+});
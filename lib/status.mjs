@@ -0,0 +1,88 @@
+/**
+ * @typedef {object} ChangeSetStatus
+ * @property {string} path the nested stack path, e.g. `NestedStack/` (empty for the root change set)
+ * @property {string} changeSetId
+ * @property {import('@aws-sdk/client-cloudformation').ChangeSetStatus} [status]
+ * @property {string} [statusReason]
+ * @property {import('@aws-sdk/client-cloudformation').ExecutionStatus} [executionStatus]
+ *
+ * @typedef {object} StatusFailure
+ * @property {keyof typeof StatusExitCodes} reason
+ * @property {number} exitCode
+ * @property {string} message
+ */
+
+/**
+ * exit codes used when a change set could not be created, following the `--fail-on` exit codes
+ */
+export const StatusExitCodes = {
+  failed: 6,
+  "no-changes": 7,
+  "nested-failed": 8,
+  pending: 9,
+};
+
+/**
+ * Return whether a change set is still being created
+ * @param {string | undefined} status
+ */
+export function isPendingStatus(status) {
+  return status === "CREATE_PENDING" || status === "CREATE_IN_PROGRESS";
+}
+
+/**
+ * Return whether a failed change set failed because the template and parameters are unchanged
+ * @param {ChangeSetStatus} status
+ */
+function isNoChanges(status) {
+  const reason = status.statusReason ?? "";
+  return reason.includes("didn't contain changes") || reason.includes("No updates are to be performed");
+}
+
+/**
+ * Describe every change set that was not created, or can't be executed, e.g.
+ * `Change set FAILED: The submitted information didn't contain changes.`
+ * Nested change sets can only be executed from the root change set, so only their status is described
+ * @param {ChangeSetStatus[]} statuses
+ * @returns {string[]}
+ */
+export function getStatusMessages(statuses) {
+  /** @type {string[]} */
+  const messages = [];
+  for (const status of statuses) {
+    const name = status.path ? `Nested change set ${status.path.slice(0, -1)}` : "Change set";
+    const reason = status.statusReason ? `: ${status.statusReason}` : "";
+    if (status.status !== "CREATE_COMPLETE") {
+      messages.push(`${name} ${status.status ?? "UNKNOWN"}${reason}`);
+    } else if (!status.path && status.executionStatus !== "AVAILABLE") {
+      messages.push(`${name} execution status ${status.executionStatus ?? "UNKNOWN"}${reason}`);
+    }
+  }
+  return messages;
+}
+
+/**
+ * Get the reason the change set can't be executed, if it was not created
+ * @param {ChangeSetStatus[]} statuses the root change set first
+ * @returns {StatusFailure | undefined}
+ */
+export function getStatusFailure(statuses) {
+  const [root, ...nested] = statuses;
+  if (!root) return undefined;
+  if (isPendingStatus(root.status)) {
+    return { reason: "pending", exitCode: StatusExitCodes.pending, message: `Change set is ${root.status}` };
+  }
+  if (root.status === "FAILED") {
+    const reason = isNoChanges(root) ? "no-changes" : "failed";
+    return { reason, exitCode: StatusExitCodes[reason], message: `Change set FAILED: ${root.statusReason ?? ""}` };
+  }
+  const failedNested = nested.filter((status) => status.status === "FAILED");
+  if (failedNested.length > 0) {
+    return {
+      reason: "nested-failed",
+      exitCode: StatusExitCodes["nested-failed"],
+      message: `Nested change sets FAILED: ${failedNested.map((status) => status.path.slice(0, -1)).join(", ")}`,
+    };
+  }
+  return undefined;
+}
@@ -0,0 +1,71 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { getStatusFailure, getStatusMessages, StatusExitCodes } from "./status.mjs";
+
+/**
+ * @param {Partial<import('./status.mjs').ChangeSetStatus>} status
+ * @returns {import('./status.mjs').ChangeSetStatus}
+ */
+function changeSet(status) {
+  return {
+    path: "",
+    changeSetId: "arn:aws:cloudformation:us-east-1:123123123123:changeSet/example/1",
+    status: "CREATE_COMPLETE",
+    executionStatus: "AVAILABLE",
+    ...status,
+  };
+}
+
+describe("lib/status.test.mjs", () => {
+  const nested = changeSet({
+    path: "Api/",
+    executionStatus: "UNAVAILABLE",
+    statusReason: "Only executable from the root change set.",
+  });
+
+  it("available change sets have no messages", () => {
+    assert.deepEqual(getStatusMessages([changeSet({}), nested]), []);
+    assert.equal(getStatusFailure([changeSet({}), nested]), undefined);
+  });
+
+  it("failed", () => {
+    const statuses = [
+      changeSet({ status: "FAILED", executionStatus: "UNAVAILABLE", statusReason: "Invalid template" }),
+    ];
+    assert.deepEqual(getStatusMessages(statuses), ["Change set FAILED: Invalid template"]);
+    assert.deepEqual(getStatusFailure(statuses), {
+      reason: "failed",
+      exitCode: StatusExitCodes.failed,
+      message: "Change set FAILED: Invalid template",
+    });
+  });
+
+  it("no changes", () => {
+    const statuses = [
+      changeSet({
+        status: "FAILED",
+        statusReason:
+          "The submitted information didn't contain changes. Submit different information to create a change set.",
+      }),
+    ];
+    assert.equal(getStatusFailure(statuses)?.exitCode, StatusExitCodes["no-changes"]);
+  });
+
+  it("nested failed", () => {
+    const statuses = [changeSet({}), changeSet({ ...nested, status: "FAILED", statusReason: "Template error" })];
+    assert.deepEqual(getStatusMessages(statuses), ["Nested change set Api FAILED: Template error"]);
+    assert.deepEqual(getStatusFailure(statuses), {
+      reason: "nested-failed",
+      exitCode: StatusExitCodes["nested-failed"],
+      message: "Nested change sets FAILED: Api",
+    });
+  });
+
+  it("pending and executed", () => {
+    assert.equal(getStatusFailure([changeSet({ status: "CREATE_IN_PROGRESS" })])?.exitCode, StatusExitCodes.pending);
+    assert.deepEqual(getStatusMessages([changeSet({ executionStatus: "EXECUTE_COMPLETE" })]), [
+      "Change set execution status EXECUTE_COMPLETE",
+    ]);
+    assert.equal(getStatusFailure([changeSet({ executionStatus: "EXECUTE_COMPLETE" })]), undefined);
+  });
+});
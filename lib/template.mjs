@@ -0,0 +1,103 @@
+import { GetTemplateCommand } from "@aws-sdk/client-cloudformation";
+import chalk from "chalk";
+import YAML from "yaml";
+import { getObjectDiff, shortFormTags } from "./diff.mjs";
+
+/**
+ * @typedef {import('./changeset.mjs').Totals} Totals
+ *
+ * @typedef {object} Template
+ * @property {Record<string, *>} [Resources]
+ */
+
+/**
+ * Parse a JSON or YAML template, expanding the short form of intrinsic functions to their JSON form
+ * @param {string} body
+ * @returns {Template}
+ */
+export function parseTemplate(body) {
+  const template = body.trimStart().startsWith("{")
+    ? JSON.parse(body)
+    : YAML.parse(body, { customTags: shortFormTags });
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    throw new Error("Template must be a JSON or YAML object");
+  }
+  return template;
+}
+
+/**
+ * Get the template of a deployed stack, as it was submitted before any transforms were processed
+ * @param {import('@aws-sdk/client-cloudformation').CloudFormation} cfn
+ * @param {string} stackName
+ * @returns {Promise<Template>}
+ */
+export async function getDeployedTemplate(cfn, stackName) {
+  const response = await cfn.send(new GetTemplateCommand({ StackName: stackName, TemplateStage: "Original" }));
+  if (!response.TemplateBody) throw new Error(`Template of stack ${stackName} not found`);
+  return parseTemplate(response.TemplateBody);
+}
+
+/**
+ * Diff the resources of a deployed template against a local template, without creating a change set.
+ * Unlike a change set, parameters, conditions and transforms are not resolved,
+ * so there are no replacement warnings and every difference in the templates is shown
+ * @param {Template} before the deployed template
+ * @param {Template} after the local template
+ * @param {object} [options]
+ * @param {boolean} [options.showColor]
+ * @param {boolean} [options.showUnchangedProperties]
+ * @param {import('./diff.mjs').Layout} [options.layout]
+ * @param {number} [options.width]
+ * @param {import('./arrays.mjs').ArrayKeys} [options.arrayKeys]
+ * @param {string[]} [options.setProperties]
+ * @returns {{ lines: string[], totals: Totals }}
+ */
+export function getTemplateDiff(before, after, options = {}) {
+  const beforeResources = before.Resources ?? {};
+  const afterResources = after.Resources ?? {};
+  /** @type {Totals} */
+  const totals = { Add: 0, Modify: 0, Remove: 0, Import: 0, Dynamic: 0 };
+  /** @type {string[]} */
+  const lines = [];
+  // resources in the order of the local template, followed by the removed ones
+  const logicalIds = [...new Set([...Object.keys(afterResources), ...Object.keys(beforeResources)])];
+  for (const logicalId of logicalIds) {
+    const beforeResource = beforeResources[logicalId];
+    const afterResource = afterResources[logicalId];
+    if (beforeResource === undefined) totals.Add += 1;
+    else if (afterResource === undefined) totals.Remove += 1;
+    else if (JSON.stringify(beforeResource) !== JSON.stringify(afterResource)) totals.Modify += 1;
+    else continue;
+
+    const diffLines = getObjectDiff(
+      beforeResource === undefined ? {} : { [logicalId]: beforeResource },
+      afterResource === undefined ? {} : { [logicalId]: afterResource },
+      options,
+    );
+    if (diffLines.length > 0) {
+      lines.push(...diffLines, "");
+    }
+  }
+  return { lines, totals };
+}
+
+/**
+ * Render the diff of a deployed template against a local template as text
+ * @param {Template} before the deployed template
+ * @param {Template} after the local template
+ * @param {Parameters<typeof getTemplateDiff>[2]} [options]
+ * @returns {string}
+ */
+export function renderTemplateDiff(before, after, options = {}) {
+  const { lines, totals } = getTemplateDiff(before, after, options);
+  const note = "Template diff, parameters and conditions are not resolved";
+  return [
+    ...lines,
+    "===== Results =====",
+    `${totals.Add} resources added`,
+    `${totals.Modify} resources modified`,
+    `${totals.Remove} resources removed`,
+    "",
+    (options.showColor ?? true) ? chalk.dim(note) : note,
+  ].join("\n");
+}
@@ -0,0 +1,80 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { getDeployedTemplate, getTemplateDiff, parseTemplate, renderTemplateDiff } from "./template.mjs";
+
+const yamlTemplate = `
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+    Properties:
+      BucketName: !ImportValue BucketName
+      Tags:
+        - Key: Env
+          Value: !Ref Env
+  Policy:
+    Type: AWS::S3::BucketPolicy
+    Properties:
+      Bucket: !Ref Bucket
+      PolicyDocument:
+        Statement:
+          - Effect: Allow
+            Resource: !Join ["/", [!GetAtt Bucket.Arn, "*"]]
+            Condition: !If [IsProd, !Ref AWS::NoValue, { Bool: { "aws:SecureTransport": true } }]
+`;
+
+describe("lib/template.test.mjs", () => {
+  it("parse the short form of intrinsic functions", () => {
+    const template = parseTemplate(yamlTemplate);
+    assert.deepEqual(template.Resources?.Bucket.Properties.BucketName, { "Fn::ImportValue": "BucketName" });
+    assert.deepEqual(template.Resources?.Bucket.Properties.Tags[0].Value, { Ref: "Env" });
+    const statement = template.Resources?.Policy.Properties.PolicyDocument.Statement[0];
+    assert.deepEqual(statement.Resource, { "Fn::Join": ["/", [{ "Fn::GetAtt": ["Bucket", "Arn"] }, "*"]] });
+    assert.deepEqual(statement.Condition, {
+      "Fn::If": ["IsProd", { Ref: "AWS::NoValue" }, { Bool: { "aws:SecureTransport": true } }],
+    });
+  });
+
+  it("parse JSON templates", () => {
+    const template = parseTemplate('{ "Resources": { "Bucket": { "Type": "AWS::S3::Bucket" } } }');
+    assert.deepEqual(template, { Resources: { Bucket: { Type: "AWS::S3::Bucket" } } });
+    assert.throws(() => parseTemplate("- not a template"), /Template must be a JSON or YAML object/);
+  });
+
+  it("diff the resources of two templates", () => {
+    const before = parseTemplate(yamlTemplate);
+    const after = parseTemplate(
+      yamlTemplate.replace("!Ref Env", "prod").replace(/ {2}Policy:[\s\S]*$/, "  Topic:\n    Type: AWS::SNS::Topic\n"),
+    );
+    const { lines, totals } = getTemplateDiff(before, after, { showColor: false });
+    assert.deepEqual(totals, { Add: 1, Modify: 1, Remove: 1, Import: 0, Dynamic: 0 });
+    assert.deepEqual(lines.slice(0, 5), [
+      "  Bucket:",
+      "    Properties:",
+      "      Tags:",
+      "-         Value: !Ref Env",
+      '+         Value: "prod" # value depends on deploy-time resolution',
+    ]);
+    assert.ok(lines.includes('+   Type: "AWS::SNS::Topic"'), lines.join("\n"));
+    assert.ok(lines.includes("- Policy:"), lines.join("\n"));
+  });
+
+  it("unchanged templates", () => {
+    const template = parseTemplate(yamlTemplate);
+    const actual = renderTemplateDiff(template, template, { showColor: false });
+    assert.ok(actual.startsWith("===== Results =====\n0 resources added\n0 resources modified"), actual);
+  });
+
+  it("fetch the original template of a stack", async () => {
+    /** @type {*[]} */
+    const inputs = [];
+    const cfn = /** @type {*} */ ({
+      send: async (/** @type {*} */ command) => {
+        inputs.push(command.input);
+        return { TemplateBody: yamlTemplate };
+      },
+    });
+    const template = await getDeployedTemplate(cfn, "my-stack");
+    assert.deepEqual(inputs, [{ StackName: "my-stack", TemplateStage: "Original" }]);
+    assert.deepEqual(template.Resources?.Policy.Properties.Bucket, { Ref: "Bucket" });
+  });
+});